@@ -0,0 +1,117 @@
+// middleware/auth.js
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+
+// Verifies the Bearer token issued by /login, loads the user and attaches it to req.user.
+// Banned users and revoked sessions are rejected even if the token has not expired yet.
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ msg: "Authentication token is missing." });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    const msg =
+      err.name === "TokenExpiredError"
+        ? "Authentication token has expired."
+        : "Invalid authentication token.";
+    return res.status(401).json({ msg });
+  }
+
+  try {
+    const user = await User.findById(payload.id).select("-password");
+    if (!user) {
+      return res
+        .status(401)
+        .json({ msg: "User for this token no longer exists." });
+    }
+    if (user.isBanned) {
+      return res.status(403).json({
+        msg: "Your account has been banned. Please contact support.",
+      });
+    }
+    if ((payload.tv || 0) !== (user.tokenVersion || 0)) {
+      return res
+        .status(401)
+        .json({ msg: "This session has been revoked. Please log in again." });
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error("Authentication Error:", err);
+    res
+      .status(500)
+      .json({ msg: "Server error during authentication", error: err.message });
+  }
+};
+
+// Like `authenticate`, but lets requests without a token through as guests (req.user unset),
+// for public routes that show more to signed-in users or admins.
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  return authenticate(req, res, next);
+};
+
+// Allows the request through only if the authenticated user has one of the given roles.
+// Must be used after `authenticate`.
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ msg: "Authentication required." });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res
+        .status(403)
+        .json({ msg: "You do not have permission to perform this action." });
+    }
+    next();
+  };
+
+// Allows admins, or the user who owns the resource. `resolveOwner(req)` returns the owner's
+// user ID or email (sync or async). If it returns nothing, the route itself is left to answer
+// with 400/404. Must be used after `authenticate`.
+const requireOwnerOrAdmin = (resolveOwner) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ msg: "Authentication required." });
+  }
+  if (req.user.role === "admin") {
+    return next();
+  }
+  try {
+    const owner = await resolveOwner(req);
+    if (owner === null || owner === undefined || owner === "") {
+      return next();
+    }
+    const ownerKey = owner.toString().toLowerCase();
+    if (
+      ownerKey === req.user._id.toString() ||
+      ownerKey === (req.user.email || "").toLowerCase()
+    ) {
+      return next();
+    }
+    return res
+      .status(403)
+      .json({ msg: "You are not allowed to access this resource." });
+  } catch (err) {
+    console.error("Ownership Check Error:", err);
+    res
+      .status(500)
+      .json({ msg: "Server error during authorization", error: err.message });
+  }
+};
+
+// Convenience chain for routes that are restricted to administrators.
+const adminOnly = [authenticate, requireRole("admin")];
+
+module.exports = {
+  authenticate,
+  optionalAuthenticate,
+  requireRole,
+  requireOwnerOrAdmin,
+  adminOnly,
+};
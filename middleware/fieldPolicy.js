@@ -0,0 +1,110 @@
+// middleware/fieldPolicy.js
+
+// Which request body fields each actor may write, per model. "guest" is an
+// unauthenticated caller (only relevant for public routes such as /signup).
+// Anything not listed here is rejected, which stops mass assignment of fields
+// like role, isBanned, price or amount.
+const FIELD_POLICIES = {
+  User: {
+    guest: ["name", "email", "password", "phoneNumber"],
+    user: ["name", "phoneNumber", "profileImage", "oldPassword", "newPassword"],
+    admin: [
+      "name",
+      "email",
+      "phoneNumber",
+      "profileImage",
+      "oldPassword",
+      "newPassword",
+      "role",
+      "isBanned",
+      "emailVerified",
+    ],
+  },
+  Order: {
+    admin: [
+      "status",
+      "note", // Stored on the status history entry
+      "overrideBalance", // Starts an order that is not fully paid
+      "name",
+      "email",
+      "phoneNumber",
+      "postLink",
+      "profileLink",
+      "socialId",
+    ],
+  },
+  Payment: {
+    admin: ["status", "remarks", "overrideBalance"],
+  },
+  Refund: {
+    admin: ["status", "adminRemarks"],
+  },
+  BlogPost: {
+    admin: [
+      "title",
+      "content",
+      "author",
+      "snippet",
+      "imageUrl",
+      "slug",
+      "status",
+      "publishAt",
+      "tags",
+      "categories",
+    ],
+  },
+  // Comment bodies are used both for posting (content, parentId) and moderating (status,
+  // moderationNote); each route reads only its own fields
+  Comment: {
+    guest: ["content", "parentId", "authorName", "authorEmail"],
+    user: ["content", "parentId"],
+    admin: ["content", "parentId", "status", "moderationNote"],
+  },
+  Coupon: {
+    admin: [
+      "code",
+      "description",
+      "discountType",
+      "discountValue",
+      "maxDiscount",
+      "platforms",
+      "services",
+      "minOrderValue",
+      "usageLimit",
+      "perUserLimit",
+      "startsAt",
+      "expiresAt",
+      "isActive",
+    ],
+  },
+  ServiceCatalog: {
+    admin: [
+      "platform",
+      "service",
+      "pricePer1000",
+      "minQuantity",
+      "maxQuantity",
+      "description",
+      "isActive",
+    ],
+  },
+};
+
+// Rejects the request with a 400 listing every field the current actor may not write.
+// Use after `authenticate` on protected routes so req.user is set.
+const allowFields = (model) => (req, res, next) => {
+  const role = req.user ? req.user.role : "guest";
+  const allowed = (FIELD_POLICIES[model] || {})[role] || [];
+  const rejected = Object.keys(req.body || {}).filter(
+    (field) => !allowed.includes(field)
+  );
+  if (rejected.length > 0) {
+    return res.status(400).json({
+      msg: `These fields cannot be set: ${rejected.join(", ")}.`,
+      fields: rejected,
+    });
+  }
+  next();
+};
+
+module.exports = { FIELD_POLICIES, allowFields };
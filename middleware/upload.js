@@ -0,0 +1,59 @@
+const multer = require("multer");
+
+const PAYMENT_PROOF_MAX_BYTES =
+  Number(process.env.PAYMENT_PROOF_MAX_MB || 5) * 1024 * 1024;
+const PAYMENT_PROOF_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// Leading bytes of each allowed image type, so a renamed file can't pass as an image
+const SIGNATURES = {
+  "image/jpeg": (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+  "image/png": (buf) =>
+    buf.slice(0, 8).equals(Buffer.from([137, 80, 78, 71, 13, 10, 26, 10])),
+  "image/webp": (buf) =>
+    buf.slice(0, 4).toString("ascii") === "RIFF" &&
+    buf.slice(8, 12).toString("ascii") === "WEBP",
+};
+
+// Accepts one image in `field` (kept in memory), checks its declared MIME type, size and
+// actual content, and answers 400 when any check fails.
+const imageUpload = (field, { maxBytes, types, required = true }) => {
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => cb(null, types.includes(file.mimetype)),
+  }).single(field);
+
+  return (req, res, next) => {
+    parse(req, res, (err) => {
+      if (err) {
+        const msg =
+          err.code === "LIMIT_FILE_SIZE"
+            ? `The file is too large. Maximum size is ${Math.round(
+                maxBytes / (1024 * 1024)
+              )} MB.`
+            : `Upload failed: ${err.message}`;
+        return res.status(400).json({ msg });
+      }
+      if (!req.file) {
+        if (!required) return next();
+        return res.status(400).json({
+          msg: `An image is required in '${field}' (${types.join(", ")}).`,
+        });
+      }
+      if (!SIGNATURES[req.file.mimetype](req.file.buffer)) {
+        return res
+          .status(400)
+          .json({ msg: "The uploaded file is not a valid image." });
+      }
+      next();
+    });
+  };
+};
+
+// Payment screenshot for POST /submitPayment
+const paymentProofUpload = imageUpload("screenshot", {
+  maxBytes: PAYMENT_PROOF_MAX_BYTES,
+  types: PAYMENT_PROOF_TYPES,
+});
+
+module.exports = { imageUpload, paymentProofUpload };
@@ -0,0 +1,44 @@
+// models/AuditLog.js
+const mongoose = require("mongoose");
+
+// One entry per state-changing action (see utils/audit.js). `before`/`after` only hold
+// the fields that changed; creations have no `before`.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null for anonymous actions such as guest orders
+    },
+    actorEmail: { type: String, default: "" },
+    actorRole: { type: String, default: "guest" },
+    action: {
+      type: String,
+      required: true, // e.g. "order.update", "payment.create"
+    },
+    entityType: {
+      type: String,
+      required: true, // Model name, e.g. "Order"
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+
+module.exports = AuditLog;
@@ -1,5 +1,32 @@
 // models/BlogPost.js
 const mongoose = require("mongoose");
+const softDeletePlugin = require("../utils/softDelete");
+const {
+  renderMarkdown,
+  toPlainText,
+  truncateText,
+} = require("../utils/markdown");
+
+// draft: only admins see it; scheduled: goes public at publishAt; published: public
+const POST_STATUSES = ["draft", "scheduled", "published"];
+
+// Average adult reading speed used for the reading-time estimate
+const WORDS_PER_MINUTE = 200;
+
+// Fields returned by the blog listings (everything but the content)
+const LISTING_FIELDS =
+  "title slug snippet imageUrl readingTime publishAt createdAt updatedAt";
+
+// "Hello, World!" -> "hello-world" (accents dropped, at most 80 characters)
+const slugify = (text) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .substring(0, 80)
+    .replace(/-+$/, "");
 
 const BlogPostSchema = new mongoose.Schema(
   {
@@ -9,10 +36,27 @@ const BlogPostSchema = new mongoose.Schema(
       trim: true,
       unique: true, // Ensure blog post titles are unique
     },
+    // URL-friendly identifier, generated from the title unless set explicitly
+    slug: {
+      type: String,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        "Slug may only contain lowercase letters, digits and single dashes",
+      ],
+    },
+    // Markdown source written by the author
     content: {
       type: String,
       required: true,
     },
+    // Sanitized HTML rendered from `content` by the pre-save hook
+    contentHtml: {
+      type: String,
+      default: "",
+    },
     author: {
       type: String,
       default: "Admin", // Default author if not specified
@@ -29,24 +73,168 @@ const BlogPostSchema = new mongoose.Schema(
       default: "", // Optional: URL for a featured image
       trim: true,
     },
-    // You can add categories, tags, etc.
-    // categories: [{ type: String, trim: true }],
-    // tags: [{ type: String, trim: true }],
+    categories: [{ type: String, trim: true }],
+    // Stored lowercase so filtering by tag is case-insensitive
+    tags: [{ type: String, trim: true, lowercase: true }],
+    status: {
+      type: String,
+      enum: POST_STATUSES,
+      default: "published",
+    },
+    // Estimated minutes to read the content, kept up to date by the pre-save hook
+    readingTime: {
+      type: Number,
+      default: null,
+    },
+    // When the post goes (or went) public. Set automatically on publishing; required for
+    // scheduled posts.
+    publishAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields automatically
   }
 );
 
-// Pre-save hook to generate snippet if not provided
+BlogPostSchema.index({ status: 1, publishAt: -1 });
+BlogPostSchema.index({ tags: 1, publishAt: -1 });
+BlogPostSchema.index({ categories: 1, publishAt: -1 });
+// Full-text search (/blogPosts/search): title matches rank above tag and content matches
+BlogPostSchema.index(
+  { title: "text", tags: "text", content: "text" },
+  { weights: { title: 10, tags: 5, content: 1 }, name: "BlogPostTextIndex" }
+);
+
+// Filter for posts visible to the public at `at`: published, or scheduled for a time that
+// has already passed (publishDuePosts() later marks those as published)
+BlogPostSchema.statics.publicFilter = function (at = new Date()) {
+  return {
+    status: { $in: ["published", "scheduled"] },
+    publishAt: { $lte: at },
+  };
+};
+
+BlogPostSchema.methods.isPublic = function (at = new Date()) {
+  return (
+    ["published", "scheduled"].includes(this.status) &&
+    Boolean(this.publishAt) &&
+    this.publishAt <= at
+  );
+};
+
+// Marks scheduled posts whose publishAt has passed as published. Run periodically from
+// server.js. Returns the number updated.
+BlogPostSchema.statics.publishDuePosts = async function () {
+  const due = await this.updateMany(
+    { status: "scheduled", publishAt: { $lte: new Date() } },
+    { $set: { status: "published" } }
+  );
+  return due.modifiedCount;
+};
+
+// Gives posts created before drafts existed a status (published when they were created),
+// then posts created before slugs, reading times and rendered HTML existed those fields
+// (the hooks fill them in on save). Run once on startup from server.js. Returns the number
+// updated.
+BlogPostSchema.statics.backfillPosts = async function () {
+  const legacy = await this.updateMany({ status: { $exists: false } }, [
+    { $set: { status: "published", publishAt: "$createdAt" } },
+  ]).setOptions({ withDeleted: true });
+  let updated = legacy.modifiedCount;
+  const posts = this.find({
+    $or: [
+      { slug: { $in: [null, ""] } },
+      { readingTime: null },
+      { contentHtml: { $in: [null, ""] } },
+    ],
+  })
+    .withDeleted()
+    .cursor();
+  for await (const post of posts) {
+    await post.save();
+    updated += 1;
+  }
+  return updated;
+};
+
+BlogPostSchema.pre("validate", async function () {
+  // Published posts get a publish date (existing posts keep their creation date);
+  // scheduled posts need a future one
+  if (this.status === "published" && !this.publishAt) {
+    this.publishAt = (!this.isNew && this.createdAt) || new Date();
+  }
+  if (this.status === "scheduled") {
+    if (!this.publishAt) {
+      this.invalidate("publishAt", "Scheduled posts need a publishAt date");
+    } else if (
+      (this.isModified("status") || this.isModified("publishAt")) &&
+      this.publishAt <= new Date()
+    ) {
+      this.invalidate("publishAt", "publishAt must be in the future");
+    }
+  }
+
+  // Keep tags/categories free of blanks and duplicates
+  if (this.isModified("tags")) {
+    this.tags = [...new Set(this.tags.filter(Boolean))];
+  }
+  if (this.isModified("categories")) {
+    this.categories = [...new Set(this.categories.filter(Boolean))];
+  }
+
+  // The slug follows the title until the post is first published, so shared links keep
+  // working afterwards. An explicit slug always wins (a taken one fails with a duplicate key).
+  const followsTitle =
+    !this.slug ||
+    (this.isModified("title") &&
+      !this.isModified("slug") &&
+      !this.isNew &&
+      !this.publishAt);
+  if (followsTitle) {
+    const base = slugify(this.title) || "post";
+    let slug = base;
+    // Deleted posts keep their slug, so they can be restored without a clash
+    for (let n = 2; ; n += 1) {
+      const taken = await this.constructor
+        .exists({ slug, _id: { $ne: this._id } })
+        .setOptions({ withDeleted: true });
+      if (!taken) break;
+      slug = `${base}-${n}`;
+    }
+    this.slug = slug;
+  }
+});
+
+// Pre-save hook to render the content and generate the snippet if not provided. The
+// snippet and reading time work on the plain text, so no markup is cut in half.
 BlogPostSchema.pre("save", function (next) {
-  if (!this.snippet && this.content) {
-    this.snippet =
-      this.content.substring(0, 150) + (this.content.length > 150 ? "..." : "");
+  const contentChanged =
+    this.isModified("content") ||
+    !this.contentHtml ||
+    this.readingTime === null;
+  if (!contentChanged && this.snippet) return next();
+
+  const text = toPlainText(this.content);
+  if (!this.snippet && text) {
+    this.snippet = truncateText(text, 150);
+  }
+  if (contentChanged) {
+    this.contentHtml = renderMarkdown(this.content);
+    const words = text.split(" ").filter(Boolean).length;
+    this.readingTime = Math.max(1, Math.ceil(words / WORDS_PER_MINUTE));
   }
   next();
 });
 
+// Deleted posts keep their history and are hidden from queries by default
+BlogPostSchema.plugin(softDeletePlugin);
+
 const BlogPost = mongoose.model("BlogPost", BlogPostSchema);
 
+BlogPost.POST_STATUSES = POST_STATUSES;
+BlogPost.LISTING_FIELDS = LISTING_FIELDS;
+BlogPost.slugify = slugify;
+
 module.exports = BlogPost;
@@ -0,0 +1,127 @@
+// models/Comment.js
+const mongoose = require("mongoose");
+
+// pending: waiting in the moderation queue; approved: public; rejected/spam: hidden
+const COMMENT_STATUSES = ["pending", "approved", "rejected", "spam"];
+
+// Replies to replies are allowed up to this depth (top-level comments are depth 0)
+const MAX_DEPTH = 3;
+
+// Fields shown to the public (no account ID, email, IP or moderation details)
+const PUBLIC_FIELDS = "post parent root depth authorName content createdAt";
+
+// A reader's comment on a blog post. Replies point at the comment they answer (`parent`)
+// and at the top-level comment of their thread (`root`), so a whole thread loads in one query.
+const CommentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BlogPost",
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    root: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      max: [MAX_DEPTH, `Replies can only be nested ${MAX_DEPTH} levels deep`],
+    },
+    // Set for signed-in commenters; anonymous comments only have a name and email
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    authorName: {
+      type: String,
+      required: [true, "Please provide your name"],
+      trim: true,
+      maxlength: [80, "Name cannot be more than 80 characters"],
+    },
+    // Never shown publicly; required for anonymous commenters. Signed-in commenters get the
+    // email of their account, which is not checked again here.
+    authorEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      required: [
+        function () {
+          return !this.user;
+        },
+        "Please provide your email address",
+      ],
+      validate: {
+        validator: function (value) {
+          return Boolean(this.user) || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+        },
+        message: "Please fill a valid email address",
+      },
+    },
+    // Plain text; clients must not render it as HTML
+    content: {
+      type: String,
+      required: [true, "Comment cannot be empty"],
+      trim: true,
+      maxlength: [2000, "Comment cannot be more than 2000 characters"],
+    },
+    status: {
+      type: String,
+      enum: COMMENT_STATUSES,
+      default: "pending",
+    },
+    // Why the comment was marked as spam automatically, if it was
+    spamReason: {
+      type: String,
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    moderatedAt: {
+      type: Date,
+      default: null,
+    },
+    moderationNote: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields automatically
+  }
+);
+
+// Public listing: approved top-level comments of a post, then the replies of a page of threads
+CommentSchema.index({ post: 1, status: 1, parent: 1, createdAt: 1 });
+CommentSchema.index({ root: 1, status: 1, createdAt: 1 });
+// Moderation queue
+CommentSchema.index({ status: 1, createdAt: 1 });
+// Moderation queue filtered by IP address
+CommentSchema.index({ ipAddress: 1, createdAt: -1 });
+
+const Comment = mongoose.model("Comment", CommentSchema);
+
+Comment.COMMENT_STATUSES = COMMENT_STATUSES;
+Comment.MAX_DEPTH = MAX_DEPTH;
+Comment.PUBLIC_FIELDS = PUBLIC_FIELDS;
+
+module.exports = Comment;
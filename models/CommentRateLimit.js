@@ -0,0 +1,39 @@
+// models/CommentRateLimit.js
+const mongoose = require("mongoose");
+
+// Anonymous comments per IP address in the current window (see utils/comments.js).
+// One document per IP address.
+const CommentRateLimitSchema = new mongoose.Schema(
+  {
+    ip: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    windowStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Document is removed by MongoDB once its window is over
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields automatically
+  }
+);
+
+CommentRateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CommentRateLimit = mongoose.model(
+  "CommentRateLimit",
+  CommentRateLimitSchema
+);
+
+module.exports = CommentRateLimit;
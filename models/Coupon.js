@@ -0,0 +1,151 @@
+// models/Coupon.js
+const mongoose = require("mongoose");
+const Order = require("./order");
+
+// Reuse the platform/service enums from the Order model so the two never drift apart
+const PLATFORMS = Order.schema.path("platform").enumValues;
+const SERVICES = Order.schema.path("service").enumValues;
+
+const CouponSchema = new mongoose.Schema(
+  {
+    // Code customers enter at checkout, stored uppercase so matching is case-insensitive
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+      match: [
+        /^[A-Z0-9_-]{3,32}$/,
+        "Coupon code must be 3-32 letters, digits, '-' or '_'",
+      ],
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    discountType: {
+      type: String,
+      required: true,
+      enum: ["percentage", "fixed"],
+    },
+    // Percent off (1-100) for "percentage", PKR off for "fixed"
+    discountValue: {
+      type: Number,
+      required: true,
+      min: [0, "Discount cannot be negative"],
+    },
+    // Largest discount in PKR a percentage coupon may give (null for no cap)
+    maxDiscount: {
+      type: Number,
+      default: null,
+      min: [0, "Maximum discount cannot be negative"],
+    },
+    // Empty lists mean the coupon applies to every platform/service
+    platforms: {
+      type: [{ type: String, enum: PLATFORMS }],
+      default: [],
+    },
+    services: {
+      type: [{ type: String, enum: SERVICES }],
+      default: [],
+    },
+    // Order price (before discount) required to use the coupon
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum order value cannot be negative"],
+    },
+    // Total number of orders that may use the coupon (null for unlimited)
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: [1, "Usage limit must be at least 1"],
+    },
+    // Orders per customer email address (null for unlimited). Orders don't need an account,
+    // so this limits repeat use of one address, not one person using several.
+    perUserLimit: {
+      type: Number,
+      default: null,
+      min: [1, "Per-user limit must be at least 1"],
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields automatically
+  }
+);
+
+CouponSchema.index({ isActive: 1, expiresAt: 1 });
+
+CouponSchema.pre("validate", function (next) {
+  if (this.discountType === "percentage" && this.discountValue > 100) {
+    this.invalidate(
+      "discountValue",
+      "A percentage discount cannot be more than 100"
+    );
+  }
+  if (this.startsAt && this.expiresAt && this.startsAt > this.expiresAt) {
+    this.invalidate("startsAt", "Start date cannot be after the expiry date");
+  }
+  next();
+});
+
+// Discount in whole rupees for an order price, never more than the price itself
+CouponSchema.methods.computeDiscount = function (price) {
+  const discount =
+    this.discountType === "percentage"
+      ? Math.round((price * this.discountValue) / 100)
+      : Math.round(this.discountValue);
+  const capped =
+    this.maxDiscount !== null && this.maxDiscount !== undefined
+      ? Math.min(discount, this.maxDiscount)
+      : discount;
+  return Math.min(capped, price);
+};
+
+// Why the coupon can't be used for an order, or null when it can. Usage limits are
+// checked separately (see utils/coupons.js) because they need the database.
+CouponSchema.methods.getIneligibilityReason = function (
+  { platform, service, price },
+  at = new Date()
+) {
+  if (!this.isActive) return "This coupon is no longer active.";
+  if (this.startsAt && at < this.startsAt) {
+    return "This coupon is not active yet.";
+  }
+  if (this.expiresAt && at > this.expiresAt) return "This coupon has expired.";
+  if (this.platforms.length > 0 && !this.platforms.includes(platform)) {
+    return `This coupon is not valid for ${platform} orders.`;
+  }
+  if (this.services.length > 0 && !this.services.includes(service)) {
+    return `This coupon is not valid for ${service} orders.`;
+  }
+  if (price < this.minOrderValue) {
+    return `This coupon requires a minimum order value of PKR ${this.minOrderValue}.`;
+  }
+  if (this.usageLimit !== null && this.usedCount >= this.usageLimit) {
+    return "This coupon has reached its usage limit.";
+  }
+  return null;
+};
+
+const Coupon = mongoose.model("Coupon", CouponSchema);
+
+module.exports = Coupon;
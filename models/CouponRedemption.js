@@ -0,0 +1,37 @@
+// models/CouponRedemption.js
+const mongoose = require("mongoose");
+
+// How many orders one email address has placed with a coupon, for Coupon.perUserLimit
+// (see utils/coupons.js). Orders can be placed without an account, so the limit is per
+// email address: it stops repeat use from one address, not one person using several.
+const CouponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields automatically
+  }
+);
+
+CouponRedemptionSchema.index({ coupon: 1, email: 1 }, { unique: true });
+
+const CouponRedemption = mongoose.model(
+  "CouponRedemption",
+  CouponRedemptionSchema
+);
+
+module.exports = CouponRedemption;
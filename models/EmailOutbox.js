@@ -0,0 +1,91 @@
+// models/EmailOutbox.js
+const mongoose = require("mongoose");
+
+// Outbound emails waiting to be delivered by the background worker (utils/emailQueue.js).
+// "Failed" is the dead-letter state: the email ran out of attempts and needs an admin re-send.
+const EmailOutboxSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    html: {
+      type: String,
+      required: function () {
+        return !this.bodyRemovedAt;
+      },
+    },
+    text: {
+      type: String,
+      default: "",
+    },
+    template: {
+      type: String, // Name of the template it was rendered from, if any
+      default: "",
+    },
+    // Contains a single-use link (password reset, email verification): the body is removed
+    // once the email has been sent, so the link can't be read back from the outbox
+    sensitive: {
+      type: Boolean,
+      default: false,
+    },
+    bodyRemovedAt: {
+      type: Date,
+      default: null,
+    },
+    // Optional key that stops the same logical email from being queued twice
+    dedupeKey: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["Pending", "Sending", "Sent", "Failed"],
+      default: "Pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: "",
+    },
+    messageId: {
+      type: String,
+      default: "",
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields automatically
+  }
+);
+
+// The worker picks the oldest due email
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailOutboxSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+const EmailOutbox = mongoose.model("EmailOutbox", EmailOutboxSchema);
+
+module.exports = EmailOutbox;
@@ -0,0 +1,45 @@
+// models/LoginAttempt.js
+const mongoose = require("mongoose");
+
+// Failed login counters used for brute-force protection (see utils/loginThrottle.js).
+// One document per key, e.g. "account:user@example.com" or "ip:203.0.113.7".
+const LoginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    windowStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Number of consecutive lockouts; each one doubles the lockout duration
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    // Document is removed by MongoDB once it is no longer relevant
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields automatically
+  }
+);
+
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", LoginAttemptSchema);
+
+module.exports = LoginAttempt;
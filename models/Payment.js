@@ -1,6 +1,15 @@
 // models/Payment.js
 const mongoose = require("mongoose");
 
+const PAYMENT_STATUSES = ["Pending", "Approved", "Rejected"];
+
+// Allowed status changes. Admin updates (see /updatePayment/:id) must go through this table.
+const PAYMENT_STATUS_TRANSITIONS = {
+  Pending: ["Approved", "Rejected"],
+  Approved: ["Rejected"], // e.g. the transfer was reversed
+  Rejected: ["Approved"], // e.g. rejected by mistake
+};
+
 const PaymentSchema = new mongoose.Schema(
   {
     // Link to the Order model. Each payment should ideally be associated with an order.
@@ -33,7 +42,14 @@ const PaymentSchema = new mongoose.Schema(
     paymentMethod: {
       type: String,
       required: true,
-      enum: ["easypaisa", "jazzcash", "bankTransfer", "paypal", "googlePay"], // Allowed payment methods
+      enum: [
+        "easypaisa",
+        "jazzcash",
+        "bankTransfer",
+        "paypal",
+        "googlePay",
+        "fakeGateway", // Offline test gateway (PAYMENT_GATEWAYS=fake), never a manual method
+      ], // Allowed payment methods
       trim: true,
     },
     transactionId: {
@@ -47,6 +63,36 @@ const PaymentSchema = new mongoose.Schema(
       required: false, // Screenshot might be optional or not applicable for all payment types
       trim: true,
     },
+    // Storage public_id of a screenshot uploaded through /submitPayment, used for cleanup
+    screenshotPublicId: {
+      type: String,
+      default: "",
+    },
+    // Payments made through a gateway adapter (utils/paymentGateways.js) are settled by the
+    // gateway's webhook instead of an admin. Empty for manual screenshot submissions.
+    gateway: {
+      type: String,
+      default: "",
+    },
+    // The gateway's id for the checkout (e.g. the PayPal order id), used to match webhooks
+    gatewayReference: {
+      type: String,
+      default: "",
+    },
+    // Amount and currency requested from the gateway, checked against what it reports paid
+    gatewayAmount: {
+      type: Number,
+      default: null,
+    },
+    gatewayCurrency: {
+      type: String,
+      default: "",
+    },
+    // Ids of webhook events already handled, so redelivered events are ignored
+    gatewayEvents: {
+      type: [String],
+      default: [],
+    },
     remarks: {
       type: String,
       default: "No remarks.",
@@ -54,7 +100,7 @@ const PaymentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["Pending", "Approved", "Rejected"], // Specific statuses for payments
+      enum: PAYMENT_STATUSES, // Specific statuses for payments
       default: "Pending",
     },
     paymentDate: {
@@ -71,5 +117,42 @@ const PaymentSchema = new mongoose.Schema(
 // This helps prevent duplicate payment entries, even if transaction IDs might overlap across different methods.
 PaymentSchema.index({ transactionId: 1, paymentMethod: 1 }, { unique: true });
 
+// Indexes for the admin payment listing (filters on status/method, latest first)
+PaymentSchema.index({ status: 1, paymentDate: -1 });
+PaymentSchema.index({ paymentMethod: 1, paymentDate: -1 });
+PaymentSchema.index({ paymentDate: -1 });
+// Payments of an order (refund limits, conversion analytics)
+PaymentSchema.index({ orderId: 1, status: 1 });
+// At most one unsettled gateway checkout per order, so concurrent checkouts can't each
+// charge the full balance
+PaymentSchema.index(
+  { orderId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: "Pending", gateway: { $gt: "" } },
+    name: "OnePendingCheckoutPerOrder",
+  }
+);
+// Webhook lookups; one payment per gateway checkout
+PaymentSchema.index(
+  { gateway: 1, gatewayReference: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { gatewayReference: { $gt: "" } },
+  }
+);
+
+PaymentSchema.statics.canTransition = function (from, to) {
+  return (PAYMENT_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+PaymentSchema.methods.canTransitionTo = function (to) {
+  return this.constructor.canTransition(this.status, to);
+};
+
 const Payment = mongoose.model("Payment", PaymentSchema);
+
+Payment.PAYMENT_STATUSES = PAYMENT_STATUSES;
+Payment.PAYMENT_STATUS_TRANSITIONS = PAYMENT_STATUS_TRANSITIONS;
+
 module.exports = Payment;
@@ -0,0 +1,66 @@
+// models/RefreshToken.js
+const mongoose = require("mongoose");
+
+// One document per issued refresh token. Tokens rotate on every refresh: the old one is
+// revoked and points at its replacement, so reuse of a rotated token can be detected.
+// Only a SHA-256 hash of the token is stored.
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Identifies the device/app install the session belongs to
+    deviceId: {
+      type: String,
+      default: "unknown",
+      trim: true,
+    },
+    deviceName: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedByHash: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields automatically
+  }
+);
+
+RefreshTokenSchema.index({ userId: 1, deviceId: 1 });
+// MongoDB removes expired tokens automatically
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", RefreshTokenSchema);
+
+module.exports = RefreshToken;
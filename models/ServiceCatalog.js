@@ -0,0 +1,150 @@
+// models/ServiceCatalog.js
+const mongoose = require("mongoose");
+const Order = require("./order");
+
+// Reuse the platform/service enums from the Order model so the two never drift apart
+const PLATFORMS = Order.schema.path("platform").enumValues;
+const SERVICES = Order.schema.path("service").enumValues;
+
+const ServiceCatalogSchema = new mongoose.Schema(
+  {
+    platform: {
+      type: String,
+      required: true,
+      trim: true,
+      enum: PLATFORMS,
+    },
+    service: {
+      type: String,
+      required: true,
+      trim: true,
+      enum: SERVICES,
+    },
+    // Price in PKR for every 1,000 units (followers, likes, views, ...)
+    pricePer1000: {
+      type: Number,
+      required: true,
+      min: [0, "Price cannot be negative"],
+    },
+    minQuantity: {
+      type: Number,
+      required: true,
+      min: [1, "Minimum quantity must be at least 1"],
+    },
+    maxQuantity: {
+      type: Number,
+      required: true,
+      min: [1, "Maximum quantity must be at least 1"],
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields automatically
+  }
+);
+
+// One rate table entry per platform/service pair
+ServiceCatalogSchema.index({ platform: 1, service: 1 }, { unique: true });
+
+ServiceCatalogSchema.pre("validate", function (next) {
+  if (this.minQuantity > this.maxQuantity) {
+    this.invalidate(
+      "minQuantity",
+      "Minimum quantity cannot be greater than maximum quantity"
+    );
+  }
+  next();
+});
+
+// Authoritative price for a quantity, rounded to whole rupees
+ServiceCatalogSchema.methods.computePrice = function (quantity) {
+  return Math.round((quantity / 1000) * this.pricePer1000);
+};
+
+// Default rate tables seeded on startup. Existing entries are never overwritten,
+// so prices edited by an admin survive restarts.
+const DEFAULT_SERVICES = [
+  { platform: "Instagram", service: "Followers", pricePer1000: 1200 },
+  { platform: "Instagram", service: "Female Followers", pricePer1000: 2000 },
+  { platform: "Instagram", service: "English Followers", pricePer1000: 2200 },
+  { platform: "Instagram", service: "Likes", pricePer1000: 400 },
+  { platform: "Instagram", service: "Views", pricePer1000: 150 },
+  { platform: "Instagram", service: "Reels Views", pricePer1000: 200 },
+  { platform: "Instagram", service: "Story Views", pricePer1000: 300 },
+  {
+    platform: "Instagram",
+    service: "Comments",
+    pricePer1000: 2500,
+    minQuantity: 10,
+    maxQuantity: 5000,
+  },
+  { platform: "TikTok", service: "Followers", pricePer1000: 1300 },
+  { platform: "TikTok", service: "Likes", pricePer1000: 450 },
+  { platform: "TikTok", service: "Views", pricePer1000: 100 },
+  { platform: "TikTok", service: "Shares", pricePer1000: 600 },
+  {
+    platform: "TikTok",
+    service: "Comments",
+    pricePer1000: 2500,
+    minQuantity: 10,
+    maxQuantity: 5000,
+  },
+  { platform: "TikTok", service: "Live Stream", pricePer1000: 3000 },
+  { platform: "YouTube", service: "Subscribers", pricePer1000: 4000 },
+  { platform: "YouTube", service: "Views", pricePer1000: 800 },
+  { platform: "YouTube", service: "Likes", pricePer1000: 700 },
+  {
+    platform: "YouTube",
+    service: "Watch Time",
+    pricePer1000: 6000,
+    maxQuantity: 4000,
+  },
+  {
+    platform: "YouTube",
+    service: "Comments",
+    pricePer1000: 3000,
+    minQuantity: 10,
+    maxQuantity: 5000,
+  },
+  { platform: "YouTube", service: "Live Stream", pricePer1000: 3500 },
+  { platform: "Facebook", service: "Page Likes", pricePer1000: 1500 },
+  { platform: "Facebook", service: "Followers", pricePer1000: 1400 },
+  { platform: "Facebook", service: "Likes", pricePer1000: 500 },
+  { platform: "Facebook", service: "Views", pricePer1000: 300 },
+  { platform: "Facebook", service: "Shares", pricePer1000: 800 },
+  { platform: "Twitter", service: "Followers", pricePer1000: 1800 },
+  { platform: "Twitter", service: "Likes", pricePer1000: 600 },
+  { platform: "Twitter", service: "Views", pricePer1000: 200 },
+];
+
+// Insert any missing default entries (upsert with $setOnInsert keeps admin edits intact)
+ServiceCatalogSchema.statics.seedDefaults = async function () {
+  const ops = DEFAULT_SERVICES.map((entry) => ({
+    updateOne: {
+      filter: { platform: entry.platform, service: entry.service },
+      update: {
+        $setOnInsert: {
+          minQuantity: 100,
+          maxQuantity: 100000,
+          isActive: true,
+          ...entry,
+        },
+      },
+      upsert: true,
+    },
+  }));
+  const result = await this.bulkWrite(ops);
+  return result.upsertedCount;
+};
+
+const ServiceCatalog = mongoose.model("ServiceCatalog", ServiceCatalogSchema);
+
+module.exports = ServiceCatalog;
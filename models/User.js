@@ -1,19 +1,33 @@
 // models/User.js
 const mongoose = require("mongoose");
+const softDeletePlugin = require("../utils/softDelete");
 
-const UserSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
-  role: {
-    type: String,
-    enum: ["user", "admin"],
-    required: true,
+const UserSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    email: { type: String, required: true, unique: true },
+    password: { type: String, required: true },
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      required: true,
+    },
+    profileImage: { type: String, default: "" },
+    isBanned: { type: Boolean, default: false },
+    emailVerified: { type: Boolean, default: false },
+    // Bumped to invalidate every access token issued to the user (logout everywhere, bans)
+    tokenVersion: { type: Number, default: 0 },
+    phoneNumber: { type: String, default: "" },
   },
-  profileImage: { type: String, default: "" },
-  isBanned: { type: Boolean, default: false },
-  phoneNumber: { type: String, default: "" },
-});
+  { timestamps: true }
+);
+
+// Indexes for the admin user listing (filters on role/isBanned, newest first)
+UserSchema.index({ role: 1, isBanned: 1, createdAt: -1 });
+UserSchema.index({ createdAt: -1 });
+
+// Deleted users keep their history and are hidden from queries by default
+UserSchema.plugin(softDeletePlugin);
 
 const User = mongoose.model("User", UserSchema);
 
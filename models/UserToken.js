@@ -0,0 +1,43 @@
+// models/UserToken.js
+const mongoose = require("mongoose");
+
+// Single-use tokens for password reset and email verification.
+// Only a SHA-256 hash of the token is stored; the raw token is only ever emailed.
+const UserTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["passwordReset", "emailVerification"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields automatically
+  }
+);
+
+UserTokenSchema.index({ userId: 1, type: 1 });
+// MongoDB removes expired tokens automatically
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model("UserToken", UserTokenSchema);
+
+module.exports = UserToken;
@@ -1,5 +1,73 @@
 // models/Order.js
 const mongoose = require("mongoose");
+const softDeletePlugin = require("../utils/softDelete");
+
+const ORDER_STATUSES = [
+  "Pending",
+  "Payment Pending",
+  "In Progress",
+  "Completed",
+  "Cancelled",
+  "Refunded",
+  "Failed",
+];
+
+// Allowed status transitions. Every status change must go through this table.
+const ORDER_STATUS_TRANSITIONS = {
+  Pending: ["Payment Pending", "In Progress", "Cancelled", "Failed"],
+  "Payment Pending": [
+    "Pending", // e.g. the submitted payment was rejected
+    "In Progress",
+    "Cancelled",
+    "Failed",
+    "Refunded",
+  ],
+  "In Progress": ["Completed", "Cancelled", "Failed", "Refunded"],
+  Completed: ["Refunded"],
+  Cancelled: ["Refunded"],
+  Failed: ["In Progress", "Refunded"],
+  Refunded: [],
+};
+
+// Orders that can still take a payment
+const PAYABLE_ORDER_STATUSES = ["Pending", "Payment Pending", "In Progress"];
+
+// How the approved payments of an order compare to its price
+const PAYMENT_STATUSES = ["Unpaid", "Underpaid", "Paid", "Overpaid"];
+
+// One entry per status change, used for the customer order tracking timeline
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: [...ORDER_STATUSES, null], default: null },
+    to: { type: String, enum: ORDER_STATUSES, required: true },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null when the change was made by the system or a guest
+    },
+    note: { type: String, trim: true, default: "" },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Coupon used when the order was placed (see models/Coupon.js). The order's `price` is
+// already discounted; `subtotal` is the catalog price before the discount.
+const appliedCouponSchema = new mongoose.Schema(
+  {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    code: { type: String, required: true },
+    discountType: { type: String, enum: ["percentage", "fixed"] },
+    discountValue: { type: Number },
+    subtotal: { type: Number, required: true },
+    discount: { type: Number, required: true },
+  },
+  { _id: false }
+);
 
 const orderSchema = new mongoose.Schema(
   {
@@ -77,20 +145,128 @@ const orderSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: [
-        "Pending",
-        "Payment Pending",
-        "In Progress",
-        "Completed",
-        "Cancelled",
-        "Refunded",
-        "Failed",
-      ],
+      enum: ORDER_STATUSES,
       default: "Pending",
       required: true,
     },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
+    // Sum of approved payments and how it compares to the price, kept up to date by
+    // utils/reconciliation.js whenever a payment is reviewed
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    paymentStatus: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: "Unpaid",
+    },
+    coupon: {
+      type: appliedCouponSchema,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
-module.exports = mongoose.model("Order", orderSchema);
+// Indexes for the admin order listing filters (newest first) and per-customer lookups
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ platform: 1, service: 1, createdAt: -1 });
+orderSchema.index({ email: 1, createdAt: -1 });
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ price: 1 });
+orderSchema.index({ paymentStatus: 1, createdAt: -1 });
+// Coupon usage per customer and coupon reports
+orderSchema.index({ "coupon.couponId": 1, email: 1 });
+
+// Record the initial status when an order is first created
+orderSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      note: "Order placed",
+    });
+  }
+  next();
+});
+
+orderSchema.statics.canTransition = function (from, to) {
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+orderSchema.methods.canTransitionTo = function (to) {
+  return this.constructor.canTransition(this.status, to);
+};
+
+// Move the order to a new status and append a history entry. Throws if the
+// transition is not allowed; callers should check canTransitionTo() first.
+orderSchema.methods.transitionTo = function (to, { actor, note } = {}) {
+  if (!this.canTransitionTo(to)) {
+    const err = new Error(
+      `Order status cannot change from '${this.status}' to '${to}'.`
+    );
+    err.name = "InvalidStatusTransitionError";
+    throw err;
+  }
+  this.statusHistory.push({
+    from: this.status,
+    to,
+    actor: actor || null,
+    note: note || "",
+    changedAt: new Date(),
+  });
+  this.status = to;
+  return this;
+};
+
+// Amount still owed on the order (never negative)
+orderSchema.virtual("outstandingBalance").get(function () {
+  return Math.max((this.price || 0) - (this.amountPaid || 0), 0);
+});
+
+// Orders are only started ("In Progress") once fully paid, unless an admin overrides the
+// balance. Returns why a move to `to` is blocked by the outstanding balance, or null.
+orderSchema.methods.getBalanceBlockReason = function (
+  to,
+  { overrideBalance = false } = {}
+) {
+  if (
+    to !== "In Progress" ||
+    this.outstandingBalance <= 0 ||
+    overrideBalance === true
+  ) {
+    return null;
+  }
+  return `Order is underpaid by PKR ${this.outstandingBalance}. Send overrideBalance: true to start it anyway.`;
+};
+
+// Records the total of approved payments and flags the order as unpaid, underpaid,
+// paid or overpaid against its price
+orderSchema.methods.applyApprovedTotal = function (total) {
+  this.amountPaid = total;
+  this.paymentStatus =
+    total <= 0
+      ? "Unpaid"
+      : total < this.price
+      ? "Underpaid"
+      : total === this.price
+      ? "Paid"
+      : "Overpaid";
+  return this;
+};
+
+// Deleted orders keep their history and are hidden from queries by default
+orderSchema.plugin(softDeletePlugin);
+
+const Order = mongoose.model("Order", orderSchema);
+
+Order.ORDER_STATUSES = ORDER_STATUSES;
+Order.ORDER_STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
+Order.PAYABLE_ORDER_STATUSES = PAYABLE_ORDER_STATUSES;
+Order.PAYMENT_STATUSES = PAYMENT_STATUSES;
+
+module.exports = Order;
@@ -0,0 +1,208 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const UserToken = require("../models/UserToken");
+const { createSendTemplatedEmail } = require("../utils/mailer");
+const {
+  issueUserToken,
+  consumeUserToken,
+  buildClientUrl,
+} = require("../utils/tokens");
+const { revokeAllSessions } = require("../utils/sessions");
+const { snapshot, recordAudit } = require("../utils/audit");
+
+// Password recovery and email verification flows. Like routes/auth.js, this module
+// exports a function that accepts the Nodemailer 'transporter' object.
+module.exports = (transporter) => {
+  const router = express.Router();
+  const sendTemplatedEmail = createSendTemplatedEmail(transporter);
+
+  // Same answer whether or not the account exists, so emails can't be enumerated
+  const GENERIC_RESET_MSG =
+    "If an account exists for this email, a password reset link has been sent.";
+  const GENERIC_VERIFY_MSG =
+    "If this email belongs to an unverified account, a verification link has been sent.";
+
+  const sendVerificationEmail = async (user) => {
+    const token = await issueUserToken(user._id, "emailVerification");
+    return sendTemplatedEmail(
+      user.email,
+      "verify-email",
+      {
+        name: user.name,
+        verifyUrl: buildClientUrl("/verify-email", token),
+      },
+      { sensitive: true }
+    );
+  };
+
+  // ============================= // Account Recovery Routes // =============================
+
+  // POST /followerApi/forgotPassword - Email a single-use password reset link
+  router.post("/forgotPassword", async (req, res) => {
+    try {
+      const { email } = req.body;
+      if (!email) {
+        return res.status(400).json({ msg: "Email is required." });
+      }
+
+      const user = await User.findOne({ email });
+      if (user && !user.isBanned) {
+        const token = await issueUserToken(user._id, "passwordReset");
+        const emailResult = await sendTemplatedEmail(
+          user.email,
+          "password-reset",
+          {
+            name: user.name,
+            resetUrl: buildClientUrl("/reset-password", token),
+          },
+          { sensitive: true }
+        );
+        if (!emailResult.success) {
+          console.error(
+            "Failed to send password reset email:",
+            user.email,
+            emailResult.error
+          );
+        }
+      }
+
+      res.json({ msg: GENERIC_RESET_MSG });
+    } catch (err) {
+      console.error("Forgot Password Error:", err);
+      res.status(500).json({
+        msg: "Server error during password reset request",
+        error: err.message,
+      });
+    }
+  });
+
+  // POST /followerApi/resetPassword - Set a new password using a reset token
+  router.post("/resetPassword", async (req, res) => {
+    try {
+      const { token, newPassword } = req.body;
+      if (
+        typeof token !== "string" ||
+        !token ||
+        typeof newPassword !== "string" ||
+        !newPassword
+      ) {
+        return res
+          .status(400)
+          .json({ msg: "Token and new password are required." });
+      }
+
+      const userToken = await consumeUserToken(token, "passwordReset");
+      if (!userToken) {
+        return res
+          .status(400)
+          .json({ msg: "This password reset link is invalid or has expired." });
+      }
+
+      const user = await User.findById(userToken.userId);
+      if (!user) {
+        return res.status(404).json({ msg: "User not found." });
+      }
+
+      const userBefore = snapshot(user);
+      user.password = await bcrypt.hash(newPassword, 10);
+      // Receiving the reset link proves the user owns the address
+      user.emailVerified = true;
+      await user.save();
+      await UserToken.deleteMany({
+        userId: user._id,
+        type: "passwordReset",
+        usedAt: null,
+      });
+      // Whoever knew the old password is logged out everywhere
+      await revokeAllSessions(user._id);
+      await recordAudit(req, {
+        action: "user.passwordReset",
+        entityType: "User",
+        entityId: user._id,
+        before: userBefore,
+        after: user,
+      });
+
+      res.json({ msg: "Password has been reset successfully." });
+    } catch (err) {
+      console.error("Reset Password Error:", err);
+      res.status(500).json({
+        msg: "Server error during password reset",
+        error: err.message,
+      });
+    }
+  });
+
+  // POST /followerApi/verifyEmail - Confirm an email address using a verification token
+  router.post("/verifyEmail", async (req, res) => {
+    try {
+      const { token } = req.body;
+      if (!token || typeof token !== "string") {
+        return res.status(400).json({ msg: "Verification token is required." });
+      }
+
+      const userToken = await consumeUserToken(token, "emailVerification");
+      if (!userToken) {
+        return res
+          .status(400)
+          .json({ msg: "This verification link is invalid or has expired." });
+      }
+
+      const user = await User.findById(userToken.userId).select("-password");
+      if (!user) {
+        return res.status(404).json({ msg: "User not found." });
+      }
+      const userBefore = snapshot(user);
+      user.emailVerified = true;
+      await user.save();
+      await recordAudit(req, {
+        action: "user.verifyEmail",
+        entityType: "User",
+        entityId: user._id,
+        before: userBefore,
+        after: user,
+      });
+
+      res.json({ msg: "Email verified successfully.", user });
+    } catch (err) {
+      console.error("Verify Email Error:", err);
+      res.status(500).json({
+        msg: "Server error during email verification",
+        error: err.message,
+      });
+    }
+  });
+
+  // POST /followerApi/resendVerification - Send a new verification link
+  router.post("/resendVerification", async (req, res) => {
+    try {
+      const { email } = req.body;
+      if (!email) {
+        return res.status(400).json({ msg: "Email is required." });
+      }
+
+      const user = await User.findOne({ email });
+      if (user && !user.emailVerified && !user.isBanned) {
+        const emailResult = await sendVerificationEmail(user);
+        if (!emailResult.success) {
+          console.error(
+            "Failed to send verification email:",
+            user.email,
+            emailResult.error
+          );
+        }
+      }
+
+      res.json({ msg: GENERIC_VERIFY_MSG });
+    } catch (err) {
+      console.error("Resend Verification Error:", err);
+      res.status(500).json({
+        msg: "Server error sending verification email",
+        error: err.message,
+      });
+    }
+  });
+
+  return router;
+};
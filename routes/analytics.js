@@ -0,0 +1,272 @@
+const express = require("express");
+const Order = require("../models/order");
+const Payment = require("../models/Payment");
+const { adminOnly } = require("../middleware/auth");
+const { parseDateRange, parseEnum } = require("../utils/pagination");
+
+// Time zone used to bucket revenue into days/weeks/months (e.g. "Asia/Karachi")
+const ANALYTICS_TIMEZONE = process.env.ANALYTICS_TIMEZONE || "UTC";
+
+// Admin dashboard figures, computed with aggregation pipelines on orders and payments.
+// Every endpoint accepts ?from=YYYY-MM-DD&to=YYYY-MM-DD to limit the period.
+module.exports = () => {
+  const router = express.Router();
+
+  // $match stage for a date field limited to ?from/?to (empty when no range is given)
+  const dateMatch = (req, field) => {
+    const range = parseDateRange(req.query.from, req.query.to, "analytics");
+    return range ? { [field]: range } : {};
+  };
+
+  const handleAnalyticsError = (res, err, label) => {
+    if (err.name === "InvalidQueryError") {
+      return res.status(400).json({ msg: err.message });
+    }
+    console.error(`Error computing ${label}:`, err);
+    res
+      .status(500)
+      .json({ msg: `Server error computing ${label}`, error: err.message });
+  };
+
+  // ============================= // Analytics Routes // =============================
+
+  // GET /followerApi/analytics/revenue - Approved payment revenue per period (Admin only)
+  // ?groupBy=day|week|month (default day)
+  router.get("/analytics/revenue", adminOnly, async (req, res) => {
+    try {
+      const unit = parseEnum(
+        req.query.groupBy || "day",
+        ["day", "week", "month"],
+        "groupBy"
+      );
+      const [periods, [totals] = []] = await Promise.all([
+        Payment.aggregate([
+          {
+            $match: { status: "Approved", ...dateMatch(req, "paymentDate") },
+          },
+          {
+            $group: {
+              _id: {
+                $dateTrunc: {
+                  date: "$paymentDate",
+                  unit,
+                  timezone: ANALYTICS_TIMEZONE,
+                  startOfWeek: "monday",
+                },
+              },
+              revenue: { $sum: "$amount" },
+              payments: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, period: "$_id", revenue: 1, payments: 1 } },
+        ]),
+        Payment.aggregate([
+          {
+            $match: { status: "Approved", ...dateMatch(req, "paymentDate") },
+          },
+          {
+            $group: {
+              _id: null,
+              revenue: { $sum: "$amount" },
+              payments: { $sum: 1 },
+            },
+          },
+          { $project: { _id: 0, revenue: 1, payments: 1 } },
+        ]),
+      ]);
+      res.json({
+        groupBy: unit,
+        timezone: ANALYTICS_TIMEZONE,
+        totals: totals || { revenue: 0, payments: 0 },
+        periods,
+      });
+    } catch (err) {
+      handleAnalyticsError(res, err, "revenue");
+    }
+  });
+
+  // GET /followerApi/analytics/orders - Order counts per status, platform and service (Admin only)
+  router.get("/analytics/orders", adminOnly, async (req, res) => {
+    try {
+      const countBy = (field) => [
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $project: { _id: 0, [field]: "$_id", count: 1 } },
+      ];
+      const [result] = await Order.aggregate([
+        { $match: dateMatch(req, "createdAt") },
+        {
+          $facet: {
+            total: [{ $count: "count" }],
+            byStatus: countBy("status"),
+            byPlatform: countBy("platform"),
+            byService: countBy("service"),
+          },
+        },
+      ]);
+      res.json({
+        total: result.total.length > 0 ? result.total[0].count : 0,
+        byStatus: result.byStatus,
+        byPlatform: result.byPlatform,
+        byService: result.byService,
+      });
+    } catch (err) {
+      handleAnalyticsError(res, err, "order counts");
+    }
+  });
+
+  // GET /followerApi/analytics/fulfillmentTime - Average time from placing an order to
+  // "Completed", for orders completed in the period (Admin only)
+  router.get("/analytics/fulfillmentTime", adminOnly, async (req, res) => {
+    try {
+      const [stats] = await Order.aggregate([
+        // Only orders whose status history records the completion
+        { $match: { "statusHistory.to": "Completed" } },
+        {
+          $addFields: {
+            completedAt: {
+              $first: {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: "$statusHistory",
+                      as: "entry",
+                      cond: { $eq: ["$$entry.to", "Completed"] },
+                    },
+                  },
+                  as: "entry",
+                  in: "$$entry.changedAt",
+                },
+              },
+            },
+          },
+        },
+        { $match: dateMatch(req, "completedAt") },
+        {
+          $group: {
+            _id: null,
+            orders: { $sum: 1 },
+            averageMs: { $avg: { $subtract: ["$completedAt", "$createdAt"] } },
+            minMs: { $min: { $subtract: ["$completedAt", "$createdAt"] } },
+            maxMs: { $max: { $subtract: ["$completedAt", "$createdAt"] } },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            orders: 1,
+            averageHours: { $round: [{ $divide: ["$averageMs", 3600000] }, 2] },
+            minHours: { $round: [{ $divide: ["$minMs", 3600000] }, 2] },
+            maxHours: { $round: [{ $divide: ["$maxMs", 3600000] }, 2] },
+          },
+        },
+      ]);
+      res.json(
+        stats || {
+          orders: 0,
+          averageHours: null,
+          minHours: null,
+          maxHours: null,
+        }
+      );
+    } catch (err) {
+      handleAnalyticsError(res, err, "fulfillment time");
+    }
+  });
+
+  // GET /followerApi/analytics/conversion - Share of orders placed in the period that
+  // received an approved payment (Admin only)
+  router.get("/analytics/conversion", adminOnly, async (req, res) => {
+    try {
+      const [result] = await Order.aggregate([
+        { $match: dateMatch(req, "createdAt") },
+        {
+          $lookup: {
+            from: Payment.collection.name,
+            let: { orderId: "$_id" },
+            pipeline: [
+              {
+                $match: {
+                  $expr: { $eq: ["$orderId", "$$orderId"] },
+                  status: "Approved",
+                },
+              },
+              { $limit: 1 },
+              { $project: { _id: 1 } },
+            ],
+            as: "approvedPayments",
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            placedOrders: { $sum: 1 },
+            paidOrders: {
+              $sum: {
+                $cond: [{ $gt: [{ $size: "$approvedPayments" }, 0] }, 1, 0],
+              },
+            },
+          },
+        },
+      ]);
+      const placedOrders = result ? result.placedOrders : 0;
+      const paidOrders = result ? result.paidOrders : 0;
+      res.json({
+        placedOrders,
+        paidOrders,
+        conversionRate:
+          placedOrders > 0
+            ? Math.round((paidOrders / placedOrders) * 10000) / 100
+            : 0, // Percentage with two decimals
+      });
+    } catch (err) {
+      handleAnalyticsError(res, err, "conversion rate");
+    }
+  });
+
+  // GET /followerApi/analytics/topCustomers - Customers ranked by approved spend (Admin only)
+  // ?limit=10 (max 100)
+  router.get("/analytics/topCustomers", adminOnly, async (req, res) => {
+    try {
+      const limit =
+        req.query.limit === undefined ? 10 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res
+          .status(400)
+          .json({ msg: "limit must be an integer between 1 and 100." });
+      }
+      const customers = await Payment.aggregate([
+        { $match: { status: "Approved", ...dateMatch(req, "paymentDate") } },
+        {
+          $group: {
+            _id: "$clientEmail",
+            name: { $last: "$clientName" },
+            totalSpent: { $sum: "$amount" },
+            payments: { $sum: 1 },
+            orders: { $addToSet: "$orderId" },
+            lastPaymentAt: { $max: "$paymentDate" },
+          },
+        },
+        { $sort: { totalSpent: -1 } },
+        { $limit: limit },
+        {
+          $project: {
+            _id: 0,
+            email: "$_id",
+            name: 1,
+            totalSpent: 1,
+            payments: 1,
+            orders: { $size: "$orders" },
+            lastPaymentAt: 1,
+          },
+        },
+      ]);
+      res.json({ customers });
+    } catch (err) {
+      handleAnalyticsError(res, err, "top customers");
+    }
+  });
+
+  return router;
+};
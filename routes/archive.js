@@ -0,0 +1,220 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Order = require("../models/order");
+const BlogPost = require("../models/BlogPost");
+const Comment = require("../models/Comment");
+const Payment = require("../models/Payment");
+const Refund = require("../models/Refund");
+const RefreshToken = require("../models/RefreshToken");
+const UserToken = require("../models/UserToken");
+const { adminOnly } = require("../middleware/auth");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { unlockAccount } = require("../utils/loginThrottle");
+const { snapshot, recordAudit } = require("../utils/audit");
+const { getStorage } = require("../utils/storage");
+
+// Approved payments of a user, matched by email and through their orders
+const userHasApprovedPayments = async (user) => {
+  const orderIds = await Order.find({ email: user.email.toLowerCase() })
+    .withDeleted()
+    .distinct("_id");
+  return Payment.exists({
+    status: "Approved",
+    $or: [
+      { clientEmail: user.email.toLowerCase() },
+      { orderId: { $in: orderIds } },
+    ],
+  });
+};
+
+// Removes uploaded payment screenshots; a missing file doesn't stop the purge
+const removePaymentProofs = (payments) =>
+  Promise.all(
+    payments
+      .filter((payment) => payment.screenshotPublicId)
+      .map((payment) =>
+        getStorage()
+          .remove(payment.screenshotPublicId)
+          .catch((err) =>
+            console.error(
+              `Failed to remove payment proof ${payment.screenshotPublicId}:`,
+              err
+            )
+          )
+      )
+  );
+
+// Soft-deletable collections. `purge` permanently removes a deleted document and the
+// records that only exist for it; `blockPurge` returns a reason to refuse, if any.
+const ARCHIVES = {
+  users: {
+    Model: User,
+    entityType: "User",
+    label: "User",
+    select: "-password",
+    blockPurge: async (user) =>
+      (await userHasApprovedPayments(user))
+        ? "This user still has approved payments and cannot be purged."
+        : null,
+    purge: async (user) => {
+      await Promise.all([
+        RefreshToken.deleteMany({ userId: user._id }),
+        UserToken.deleteMany({ userId: user._id }),
+        Refund.deleteMany({ userId: user._id }),
+        unlockAccount(user.email),
+        // Their comments stay, under the name they were posted with
+        Comment.updateMany({ user: user._id }, { $set: { user: null } }),
+      ]);
+      await user.deleteOne();
+    },
+  },
+  orders: {
+    Model: Order,
+    entityType: "Order",
+    label: "Order",
+    blockPurge: async (order) =>
+      (await Payment.exists({ orderId: order._id, status: "Approved" }))
+        ? "This order still has approved payments and cannot be purged."
+        : null,
+    purge: async (order) => {
+      const payments = await Payment.find({ orderId: order._id }).select(
+        "screenshotPublicId"
+      );
+      await removePaymentProofs(payments);
+      await Promise.all([
+        Payment.deleteMany({ orderId: order._id }),
+        Refund.deleteMany({ orderId: order._id }),
+      ]);
+      await order.deleteOne();
+    },
+  },
+  blogPosts: {
+    Model: BlogPost,
+    entityType: "BlogPost",
+    label: "Blog post",
+    blockPurge: async () => null,
+    purge: async (post) => {
+      await Comment.deleteMany({ post: post._id });
+      await post.deleteOne();
+    },
+  },
+};
+
+// Archive config for a :type parameter, or null (own keys only, so "constructor" and
+// friends are not types)
+const getArchive = (type) =>
+  Object.hasOwn(ARCHIVES, type) ? ARCHIVES[type] : null;
+
+// Admin routes for soft-deleted users, orders and blog posts: list, restore and purge.
+module.exports = () => {
+  const router = express.Router();
+
+  // Resolves :type and :id to the archive config and the deleted document.
+  // Sends the error response itself and returns null when that fails.
+  const findDeleted = async (req, res) => {
+    const archive = getArchive(req.params.type);
+    if (!archive) {
+      res.status(400).json({
+        msg: `Invalid type. Allowed: ${Object.keys(ARCHIVES).join(", ")}.`,
+      });
+      return null;
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      res.status(400).json({ msg: `Invalid ${archive.label} ID format.` });
+      return null;
+    }
+    const doc = await archive.Model.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null },
+    });
+    if (!doc) {
+      res.status(404).json({ msg: `Deleted ${archive.label} not found.` });
+      return null;
+    }
+    return { archive, doc };
+  };
+
+  // ============================= // Archive Routes // =============================
+
+  // GET /followerApi/deleted/:type - List deleted users, orders or blogPosts (Admin only)
+  // ?page=1&limit=20, most recently deleted first
+  router.get("/deleted/:type", adminOnly, async (req, res) => {
+    try {
+      const archive = getArchive(req.params.type);
+      if (!archive) {
+        return res.status(400).json({
+          msg: `Invalid type. Allowed: ${Object.keys(ARCHIVES).join(", ")}.`,
+        });
+      }
+      const { docs, pagination } = await paginate(
+        archive.Model,
+        { deletedAt: { $ne: null } },
+        { ...parsePagination(req.query), sort: { deletedAt: -1, _id: -1 } },
+        (query) => (archive.select ? query.select(archive.select) : query)
+      );
+      res.json({ [req.params.type]: docs, pagination });
+    } catch (err) {
+      if (err.name === "InvalidQueryError") {
+        return res.status(400).json({ msg: err.message });
+      }
+      console.error("Error fetching deleted records:", err);
+      res.status(500).json({
+        msg: "Server error fetching deleted records",
+        error: err.message,
+      });
+    }
+  });
+
+  // POST /followerApi/restore/:type/:id - Restore a deleted record (Admin only)
+  router.post("/restore/:type/:id", adminOnly, async (req, res) => {
+    try {
+      const found = await findDeleted(req, res);
+      if (!found) return;
+      const before = snapshot(found.doc);
+      await found.doc.restore();
+      await recordAudit(req, {
+        action: `${found.archive.entityType.toLowerCase()}.restore`,
+        entityType: found.archive.entityType,
+        entityId: found.doc._id,
+        before,
+        after: found.doc,
+      });
+      res.json({ msg: `${found.archive.label} restored successfully.` });
+    } catch (err) {
+      console.error("Error restoring record:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error restoring record", error: err.message });
+    }
+  });
+
+  // DELETE /followerApi/purge/:type/:id - Permanently remove a deleted record (Admin only)
+  // Only records that were soft deleted first can be purged, and never while approved
+  // payments still refer to them.
+  router.delete("/purge/:type/:id", adminOnly, async (req, res) => {
+    try {
+      const found = await findDeleted(req, res);
+      if (!found) return;
+      const reason = await found.archive.blockPurge(found.doc);
+      if (reason) {
+        return res.status(409).json({ msg: reason });
+      }
+      await found.archive.purge(found.doc);
+      await recordAudit(req, {
+        action: `${found.archive.entityType.toLowerCase()}.purge`,
+        entityType: found.archive.entityType,
+        entityId: found.doc._id,
+        before: found.doc,
+      });
+      res.json({ msg: `${found.archive.label} permanently deleted.` });
+    } catch (err) {
+      console.error("Error purging record:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error purging record", error: err.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,37 @@
+const express = require("express");
+const AuditLog = require("../models/AuditLog");
+const { adminOnly } = require("../middleware/auth");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { buildAuditLogQuery } = require("../utils/listFilters");
+
+// Admin search over the audit log written by utils/audit.js.
+module.exports = () => {
+  const router = express.Router();
+
+  // ============================= // Audit Log Routes // =============================
+
+  // GET /followerApi/auditLogs - Search the audit log (Admin only)
+  // Query: entityType, entityId, actor, action, from/to, page, limit
+  router.get("/auditLogs", adminOnly, async (req, res) => {
+    try {
+      const { filter, sort } = buildAuditLogQuery(req.query);
+      const { docs: logs, pagination } = await paginate(
+        AuditLog,
+        filter,
+        { ...parsePagination(req.query), sort },
+        (query) => query.populate("actor", "name email role")
+      );
+      res.json({ logs, pagination });
+    } catch (err) {
+      if (err.name === "InvalidQueryError") {
+        return res.status(400).json({ msg: err.message });
+      }
+      console.error("Error fetching audit logs:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error fetching audit logs", error: err.message });
+    }
+  });
+
+  return router;
+};
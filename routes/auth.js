@@ -1,13 +1,60 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const mongoose = require("mongoose");
 const User = require("../models/User");
 const Order = require("../models/order");
 const Payment = require("../models/Payment");
-const BlogPost = require("../models/BlogPost"); // NEW: Import BlogPost model
+const Refund = require("../models/Refund");
+const ServiceCatalog = require("../models/ServiceCatalog");
 const multer = require("multer");
-const cloudinary = require("cloudinary").v2;
+const path = require("path");
+const {
+  authenticate,
+  requireOwnerOrAdmin,
+  adminOnly,
+} = require("../middleware/auth");
+const { allowFields } = require("../middleware/fieldPolicy");
+const { createSendTemplatedEmail } = require("../utils/mailer");
+const { issueUserToken, buildClientUrl } = require("../utils/tokens");
+const {
+  issueSession,
+  revokeAllSessions,
+  deviceFromRequest,
+} = require("../utils/sessions");
+const {
+  getLoginLockedUntil,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+} = require("../utils/loginThrottle");
+const { orderEmailData, paymentEmailData } = require("../utils/emailData");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { snapshot, recordAudit } = require("../utils/audit");
+const { getStorage } = require("../utils/storage");
+const { settleOrderPayment } = require("../utils/reconciliation");
+const { GATEWAY_ONLY_METHODS } = require("../utils/paymentGateways");
+const {
+  checkCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  appliedCoupon,
+} = require("../utils/coupons");
+const { paymentProofUpload } = require("../middleware/upload");
+const {
+  buildOrderQuery,
+  buildPaymentQuery,
+  buildUserQuery,
+} = require("../utils/listFilters");
+
+// Storage folder for payment screenshots uploaded through /submitPayment
+const PAYMENT_PROOF_FOLDER =
+  process.env.PAYMENT_PROOF_FOLDER || "payment-proofs";
+// Storage folder for images uploaded through /upload; each user gets "<folder>/<userId>"
+const USER_UPLOAD_FOLDER = process.env.USER_UPLOAD_FOLDER || "user-uploads";
+
+// bcrypt hash of a random string, compared against when the login email is unknown
+const DUMMY_PASSWORD_HASH =
+  "$2b$10$CwTycUXWue0Thq9StjUM0uJ8.fWfV1vLxD3k1u9hX6Xy4b8cUQeSu";
 
 // This module exports a function that accepts the Nodemailer 'transporter' object.
 // This allows the routes to use the pre-configured email sending service.
@@ -16,50 +63,38 @@ module.exports = (transporter) => {
   const upload = multer({ storage: multer.memoryStorage() }); // Configure multer for in-memory storage
 
   // Helper function to send email using the passed transporter
-  const sendEmail = async (to, subject, htmlContent) => {
-    if (!transporter) {
-      console.warn("Nodemailer transporter is not configured. Email not sent.");
-      return { success: false, error: "Email transporter not available." };
-    }
-    try {
-      const mailOptions = {
-        from: process.env.EMAIL_USER, // Sender address from .env file
-        to: to,
-        subject: subject,
-        html: htmlContent,
-      };
-      let info = await transporter.sendMail(mailOptions);
-      console.log("Message sent: %s", info.messageId);
-      return { success: true, messageId: info.messageId };
-    } catch (error) {
-      console.error("Error sending email:", error);
-      return { success: false, error: error.message };
-    }
-  };
+  const sendTemplatedEmail = createSendTemplatedEmail(transporter);
+
+  // Ownership guards: admins always pass, other users only for their own profile/orders
+  const ownsUserParam = requireOwnerOrAdmin((req) => req.params.id);
+  const ownsEmailQuery = requireOwnerOrAdmin((req) => req.query.email);
+  const ownsEmailParam = requireOwnerOrAdmin((req) => req.params.email);
+  const ownsOrderParam = requireOwnerOrAdmin(async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    const order = await Order.findById(req.params.id).select("email");
+    return order ? order.email : null;
+  });
 
   // ============================= // User Management Routes // =============================
 
   // POST /followerApi/signup - Register a new user
-  router.post("/signup", async (req, res) => {
+  router.post("/signup", allowFields("User"), async (req, res) => {
     try {
-      const { name, email, password, role, isBanned } = req.body;
+      const { name, email, password, phoneNumber } = req.body;
 
-      if (!name || !email || !password || !role) {
+      if (!name || !email || !password) {
         return res.status(400).json({
-          msg: "Please provide all required fields: name, email, password, role.",
+          msg: "Please provide all required fields: name, email, password.",
         });
       }
 
-      let user = await User.findOne({ email });
+      // Deleted accounts still own their email until they are purged
+      let user = await User.findOne({ email }).withDeleted();
       if (user) {
-        return res
-          .status(409)
-          .json({ msg: "User with this email already exists." });
-      }
-
-      if (!["user", "admin"].includes(role)) {
-        return res.status(400).json({
-          msg: "Invalid role specified. Role must be 'user' or 'admin'.",
+        return res.status(409).json({
+          msg: user.deletedAt
+            ? "This email belongs to a deleted account. Please contact support to restore it."
+            : "User with this email already exists.",
         });
       }
 
@@ -69,23 +104,30 @@ module.exports = (transporter) => {
         name,
         email,
         password: hashedPassword,
-        role,
-        isBanned: isBanned ?? false,
+        phoneNumber,
+        role: "user", // Admins are promoted by another admin, never self-registered
+        isBanned: false,
+      });
+      await recordAudit(req, {
+        action: "user.create",
+        entityType: "User",
+        entityId: newUser._id,
+        after: newUser,
       });
 
-      const userEmailSubject = "Welcome to FollowersCart!";
-      const userEmailHtmlContent = `
-        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-          <h2 style="color: #6a0dad;">Hello ${name},</h2>
-          <p>Thank you for registering with FollowersCart. Your account has been successfully created.</p>
-          <p>You can now log in and start using our services.</p>
-          <p>Best regards,<br>The FollowersCart Team</p>
-        </div>
-      `;
-      const userEmailResult = await sendEmail(
+      // The welcome email doubles as the first email verification link
+      const verificationToken = await issueUserToken(
+        newUser._id,
+        "emailVerification"
+      );
+      const userEmailResult = await sendTemplatedEmail(
         email,
-        userEmailSubject,
-        userEmailHtmlContent
+        "welcome",
+        {
+          name,
+          verifyUrl: buildClientUrl("/verify-email", verificationToken),
+        },
+        { dedupeKey: `welcome:${newUser._id}`, sensitive: true }
       );
       if (userEmailResult.success) {
         console.log("Registration confirmation email sent to user:", email);
@@ -119,17 +161,51 @@ module.exports = (transporter) => {
           .json({ msg: "Email and password are required." });
       }
 
-      const user = await User.findOne({ email });
-      if (!user)
-        return res
-          .status(401)
-          .json({ msg: "Invalid credentials: User not found." });
+      // Refuse early while the account or this IP is locked out
+      const lockedUntil = await getLoginLockedUntil(email, req.ip);
+      if (lockedUntil) {
+        res.set(
+          "Retry-After",
+          Math.ceil((lockedUntil - Date.now()) / 1000).toString()
+        );
+        return res.status(429).json({
+          msg: "Too many failed login attempts. Please try again later.",
+          lockedUntil,
+        });
+      }
 
-      const isMatch = await bcrypt.compare(password, user.password);
-      if (!isMatch)
-        return res
-          .status(401)
-          .json({ msg: "Invalid credentials: Incorrect password." });
+      const user = await User.findOne({ email });
+      // Compare against a dummy hash for unknown emails so both cases take the same time
+      const isMatch = await bcrypt.compare(
+        password,
+        user ? user.password : DUMMY_PASSWORD_HASH
+      );
+      if (!user || !isMatch) {
+        const { accountLocked, lockedUntil: newLockedUntil } =
+          await recordLoginFailure(email, req.ip);
+        if (accountLocked && user) {
+          const securityEmailResult = await sendTemplatedEmail(
+            user.email,
+            "account-locked",
+            {
+              name: user.name,
+              lockedUntil: newLockedUntil.toLocaleString(),
+              ip: req.ip,
+              forgotPasswordUrl: buildClientUrl("/forgot-password"),
+            }
+          );
+          if (!securityEmailResult.success) {
+            console.error(
+              "Failed to send account lockout email:",
+              user.email,
+              securityEmailResult.error
+            );
+          }
+        }
+        // Same message for unknown emails and wrong passwords, so accounts can't be enumerated
+        return res.status(401).json({ msg: "Invalid email or password." });
+      }
+      await recordLoginSuccess(email);
 
       if (user.isBanned) {
         return res.status(403).json({
@@ -137,13 +213,27 @@ module.exports = (transporter) => {
         });
       }
 
-      const token = jwt.sign(
-        { id: user._id, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: "1h" }
+      // Set REQUIRE_EMAIL_VERIFICATION=true in .env to block logins until the email is verified
+      if (
+        process.env.REQUIRE_EMAIL_VERIFICATION === "true" &&
+        !user.emailVerified
+      ) {
+        return res.status(403).json({
+          msg: "Please verify your email address before logging in.",
+          emailVerified: false,
+        });
+      }
+
+      const { token, refreshToken } = await issueSession(
+        user,
+        deviceFromRequest(req)
       );
 
-      res.json({ token, role: user.role, loginUser: user });
+      // The account without its password hash and token version
+      const loginUser = user.toObject();
+      delete loginUser.password;
+      delete loginUser.tokenVersion;
+      res.json({ token, refreshToken, role: user.role, loginUser });
     } catch (err) {
       console.error("Login Error:", err);
       res
@@ -153,7 +243,7 @@ module.exports = (transporter) => {
   });
 
   // GET /followerApi/user - Get user by email
-  router.get("/user", async (req, res) => {
+  router.get("/user", authenticate, ownsEmailQuery, async (req, res) => {
     try {
       const { email } = req.query;
       if (!email) {
@@ -175,17 +265,22 @@ module.exports = (transporter) => {
   });
 
   // GET /followerApi/alluser - Get all users (Admin only)
-  router.get("/alluser", async (req, res) => {
+  // Query: page, limit, sort (createdAt, name, email; prefix "-" for descending), role, isBanned
+  router.get("/alluser", adminOnly, async (req, res) => {
     console.log("Fetching all users...");
     try {
-      const users = await User.find()
-        .select("-password")
-        .sort({ createdAt: -1 });
-      if (!users || users.length === 0) {
-        return res.status(200).json([]);
-      }
-      res.json(users);
+      const { filter, sort } = buildUserQuery(req.query);
+      const { docs: users, pagination } = await paginate(
+        User,
+        filter,
+        { ...parsePagination(req.query), sort },
+        (query) => query.select("-password")
+      );
+      res.json({ users, pagination });
     } catch (err) {
+      if (err.name === "InvalidQueryError") {
+        return res.status(400).json({ msg: err.message });
+      }
       console.error("Error fetching all users:", err);
       res
         .status(500)
@@ -194,7 +289,8 @@ module.exports = (transporter) => {
   });
 
   // DELETE /followerApi/delete/:userId - Delete a user by ID (Admin only)
-  router.delete("/delete/:userId", async (req, res) => {
+  // The user is soft deleted and can be restored; see routes/archive.js for purging.
+  router.delete("/delete/:userId", adminOnly, async (req, res) => {
     const { userId } = req.params;
     try {
       if (!mongoose.Types.ObjectId.isValid(userId)) {
@@ -204,7 +300,16 @@ module.exports = (transporter) => {
       if (!user) {
         return res.status(404).json({ msg: "User not found." });
       }
-      await User.findByIdAndDelete(userId);
+      const userBefore = snapshot(user);
+      await user.softDelete(req.user._id);
+      await revokeAllSessions(user._id);
+      await recordAudit(req, {
+        action: "user.delete",
+        entityType: "User",
+        entityId: user._id,
+        before: userBefore,
+        after: user,
+      });
       res.json({ msg: "User deleted successfully." });
     } catch (err) {
       console.error("Error deleting user:", err);
@@ -214,103 +319,177 @@ module.exports = (transporter) => {
     }
   });
 
-  // PATCH /followerApi/update/:id - Update user details (including password change)
-  router.patch("/update/:id", async (req, res) => {
-    console.log("User update request received for ID:", req.params.id);
+  // POST /followerApi/unlockAccount/:userId - Clear login lockouts for a user (Admin only)
+  router.post("/unlockAccount/:userId", adminOnly, async (req, res) => {
+    const { userId } = req.params;
     try {
-      const { id } = req.params;
-      const { oldPassword, newPassword, ...otherUpdates } = req.body;
-
-      if (!mongoose.Types.ObjectId.isValid(id)) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
         return res.status(400).json({ msg: "Invalid user ID format." });
       }
-
-      const user = await User.findById(id);
+      const user = await User.findById(userId).select("email");
       if (!user) {
         return res.status(404).json({ msg: "User not found." });
       }
+      await unlockAccount(user.email);
+      await recordAudit(req, {
+        action: "user.unlock",
+        entityType: "User",
+        entityId: user._id,
+      });
+      res.json({ msg: "Account unlocked successfully." });
+    } catch (err) {
+      console.error("Error unlocking account:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error unlocking account", error: err.message });
+    }
+  });
 
-      if (oldPassword && newPassword) {
-        const isMatch = await bcrypt.compare(oldPassword, user.password);
-        if (!isMatch) {
-          return res.status(400).json({ msg: "Incorrect current password." });
+  // PATCH /followerApi/update/:id - Update user details (including password change)
+  router.patch(
+    "/update/:id",
+    authenticate,
+    ownsUserParam,
+    allowFields("User"),
+    async (req, res) => {
+      console.log("User update request received for ID:", req.params.id);
+      try {
+        const { id } = req.params;
+        const { oldPassword, newPassword, ...otherUpdates } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return res.status(400).json({ msg: "Invalid user ID format." });
         }
-        user.password = await bcrypt.hash(newPassword, 10);
-        await user.save();
-        if (Object.keys(otherUpdates).length === 0) {
-          return res.json({ msg: "Password updated successfully." });
+
+        const user = await User.findById(id);
+        if (!user) {
+          return res.status(404).json({ msg: "User not found." });
         }
-      }
 
-      const updatedUser = await User.findByIdAndUpdate(id, otherUpdates, {
-        new: true,
-        runValidators: true,
-      }).select("-password");
+        if (oldPassword && newPassword) {
+          const isMatch = await bcrypt.compare(oldPassword, user.password);
+          if (!isMatch) {
+            return res.status(400).json({ msg: "Incorrect current password." });
+          }
+          user.password = await bcrypt.hash(newPassword, 10);
+          await user.save();
+          await recordAudit(req, {
+            action: "user.passwordChange",
+            entityType: "User",
+            entityId: user._id,
+          });
+          if (Object.keys(otherUpdates).length === 0) {
+            return res.json({ msg: "Password updated successfully." });
+          }
+        }
 
-      if (!updatedUser) {
-        return res
-          .status(404)
-          .json({ msg: "User not found after update attempt." });
-      }
+        const updatedUser = await User.findByIdAndUpdate(id, otherUpdates, {
+          new: true,
+          runValidators: true,
+        }).select("-password");
 
-      res.json({ msg: "User updated successfully", updatedUser });
-    } catch (err) {
-      console.error("User Update Error:", err);
-      res
-        .status(500)
-        .json({ msg: "Server error during user update", error: err.message });
-    }
-  });
+        if (!updatedUser) {
+          return res
+            .status(404)
+            .json({ msg: "User not found after update attempt." });
+        }
 
-  // ============================= // Cloudinary Image Upload/Deletion Routes // =============================
+        await recordAudit(req, {
+          action: "user.update",
+          entityType: "User",
+          entityId: updatedUser._id,
+          before: user,
+          after: updatedUser,
+        });
 
-  // POST /followerApi/upload - Upload an image to Cloudinary
-  router.post("/upload", upload.single("image"), async (req, res) => {
-    try {
-      if (!req.file) {
-        return res.status(400).json({ error: "No file uploaded." });
+        // Banning a user ends all of their sessions immediately
+        if (updatedUser.isBanned && !user.isBanned) {
+          await revokeAllSessions(updatedUser._id);
+          console.log(`All sessions revoked for banned user ${id}.`);
+        }
+
+        res.json({ msg: "User updated successfully", updatedUser });
+      } catch (err) {
+        console.error("User Update Error:", err);
+        res
+          .status(500)
+          .json({ msg: "Server error during user update", error: err.message });
       }
+    }
+  );
+
+  // ============================= // Image Upload/Deletion Routes // =============================
+
+  // POST /followerApi/upload - Upload an image to storage (Cloudinary unless STORAGE_DRIVER=local)
+  router.post(
+    "/upload",
+    authenticate,
+    upload.single("image"),
+    async (req, res) => {
+      try {
+        if (!req.file) {
+          return res.status(400).json({ error: "No file uploaded." });
+        }
 
-      const streamUpload = (request) => {
-        return new Promise((resolve, reject) => {
-          const stream = cloudinary.uploader.upload_stream(
-            { resource_type: "image" },
-            (error, result) => {
-              if (result) {
-                resolve(result);
-              } else {
-                reject(error);
-              }
-            }
-          );
-          stream.end(request.file.buffer);
+        const result = await getStorage().upload(req.file.buffer, {
+          folder: `${USER_UPLOAD_FOLDER}/${req.user._id}`,
+          mimeType: req.file.mimetype,
         });
-      };
-
-      const result = await streamUpload(req);
-      res.json({ imageUrl: result.secure_url, public_id: result.public_id });
-    } catch (error) {
-      console.error("Cloudinary Upload Error:", error);
-      res.status(500).json({ error: error.message || "Image upload failed." });
+        await recordAudit(req, {
+          action: "image.upload",
+          entityType: "Image",
+          after: { imageUrl: result.url, public_id: result.publicId },
+        });
+        res.json({ imageUrl: result.url, public_id: result.publicId });
+      } catch (error) {
+        console.error("Image Upload Error:", error);
+        res
+          .status(500)
+          .json({ error: error.message || "Image upload failed." });
+      }
     }
-  });
+  );
 
-  // POST /followerApi/delete-image - Delete an image from Cloudinary
-  router.post("/delete-image", async (req, res) => {
+  // POST /followerApi/delete-image - Delete an uploaded image from storage
+  // Users can delete their own uploads; admins can delete any image. Payment proofs are
+  // never deleted here (see routes/archive.js for purging them with their payment).
+  router.post("/delete-image", authenticate, async (req, res) => {
     const { public_id } = req.body;
-    if (!public_id) {
+    if (!public_id || typeof public_id !== "string") {
       return res.status(400).json({ error: "Missing public_id for deletion." });
     }
+    // Normalized so "a/../payment-proofs/x" can't get around the folder checks
+    const normalizedId = path.posix.normalize(public_id);
+    if (
+      normalizedId.startsWith("..") ||
+      path.posix.isAbsolute(normalizedId) ||
+      normalizedId.startsWith(`${PAYMENT_PROOF_FOLDER}/`)
+    ) {
+      return res.status(403).json({ error: "This image cannot be deleted." });
+    }
+    if (
+      req.user.role !== "admin" &&
+      !normalizedId.startsWith(`${USER_UPLOAD_FOLDER}/${req.user._id}/`)
+    ) {
+      return res
+        .status(403)
+        .json({ error: "You can only delete images you uploaded." });
+    }
     try {
-      const result = await cloudinary.uploader.destroy(public_id);
-      if (result.result === "not found") {
+      const removed = await getStorage().remove(normalizedId);
+      if (!removed) {
         return res
           .status(404)
-          .json({ success: false, msg: "Image not found on Cloudinary." });
+          .json({ success: false, msg: "Image not found in storage." });
       }
-      res.json({ success: true, result });
+      await recordAudit(req, {
+        action: "image.delete",
+        entityType: "Image",
+        before: { public_id },
+      });
+      res.json({ success: true, result: { result: "ok" } });
     } catch (error) {
-      console.error("Cloudinary Deletion Error:", error);
+      console.error("Image Deletion Error:", error);
       res
         .status(500)
         .json({ error: error.message || "Image deletion failed." });
@@ -334,10 +513,11 @@ module.exports = (transporter) => {
         platform,
         socialId,
         service,
-        price,
+        couponCode,
       } = req.body;
 
-      // Detailed validation for required fields
+      // Detailed validation for required fields. Any client-supplied 'price' is ignored:
+      // the price is computed from the service catalog (and the coupon, if any) below.
       if (
         !name ||
         !email ||
@@ -345,8 +525,7 @@ module.exports = (transporter) => {
         !profileLink ||
         requiredFollowers === undefined || // Check for undefined, as 0 is a valid number
         !platform ||
-        !service ||
-        price === undefined // Check for undefined
+        !service
       ) {
         console.error(
           "Validation Error: Missing one or more required order fields."
@@ -356,16 +535,54 @@ module.exports = (transporter) => {
           .json({ msg: "Missing one or more required order fields." });
       }
 
-      // Ensure price and requiredFollowers are numbers
-      if (isNaN(price) || isNaN(requiredFollowers)) {
+      // Ensure requiredFollowers is a whole number
+      const quantity = Number(requiredFollowers);
+      if (isNaN(quantity) || !Number.isInteger(quantity)) {
         console.error(
-          "Validation Error: Price or requiredFollowers is not a valid number."
+          "Validation Error: requiredFollowers is not a valid whole number."
         );
         return res
           .status(400)
-          .json({ msg: "Price and Required Followers must be valid numbers." });
+          .json({ msg: "Required Followers must be a valid whole number." });
       }
 
+      // Look up the authoritative rate for this platform/service pair
+      const catalogEntry = await ServiceCatalog.findOne({
+        platform,
+        service,
+        isActive: true,
+      });
+      if (!catalogEntry) {
+        return res.status(400).json({
+          msg: `${service} is not currently available for ${platform}.`,
+        });
+      }
+      if (
+        quantity < catalogEntry.minQuantity ||
+        quantity > catalogEntry.maxQuantity
+      ) {
+        return res.status(400).json({
+          msg: `Quantity for ${platform} ${service} must be between ${catalogEntry.minQuantity} and ${catalogEntry.maxQuantity}.`,
+          minQuantity: catalogEntry.minQuantity,
+          maxQuantity: catalogEntry.maxQuantity,
+        });
+      }
+      const subtotal = catalogEntry.computePrice(quantity);
+
+      // An optional coupon code lowers the price; its use is counted before the order is saved
+      let coupon = null;
+      let discount = 0;
+      if (couponCode) {
+        ({ coupon, discount } = await checkCoupon(couponCode, {
+          platform,
+          service,
+          price: subtotal,
+          email,
+        }));
+        await redeemCoupon(coupon, { email });
+      }
+      const price = subtotal - discount;
+
       // Create new order record
       const newOrder = await Order.create({
         name,
@@ -373,34 +590,32 @@ module.exports = (transporter) => {
         phoneNumber,
         postLink,
         profileLink,
-        requiredFollowers,
+        requiredFollowers: quantity,
         platform,
         socialId,
         service,
         price,
+        coupon: coupon ? appliedCoupon(coupon, subtotal, discount) : null,
         status: "Pending", // Default initial status
         createdAt: new Date(),
+      }).catch(async (createErr) => {
+        if (coupon) await releaseCoupon(coupon, { email });
+        throw createErr;
       });
       console.log("Order created successfully in DB:", newOrder._id);
+      await recordAudit(req, {
+        action: "order.create",
+        entityType: "Order",
+        entityId: newOrder._id,
+        after: newOrder,
+      });
 
       // --- Send order confirmation email to the client ---
-      const clientEmailSubject = "Your Order Has Been Placed!";
-      const clientEmailHtmlContent = `
-        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-          <h2 style="color: #6a0dad;">Hello ${name},</h2>
-          <p>Thank you for your order! Your order for <strong>${service}</strong> on <strong>${platform}</strong> has been successfully placed.</p>
-          <p><strong>Order ID:</strong> ${newOrder._id}</p>
-          <p><strong>Service:</strong> ${service}</p>
-          <p><strong>Quantity:</strong> ${newOrder.requiredFollowers.toLocaleString()}</p>
-          <p><strong>Price:</strong> PKR ${newOrder.price.toFixed(0)}</p>
-          <p>We will process your order shortly. You will receive another email once the status changes.</p>
-          <p style="font-size: 0.9em; color: #555;">Best regards,<br>The FollowersCart Team</p>
-        </div>
-      `;
-      const clientEmailResult = await sendEmail(
+      const clientEmailResult = await sendTemplatedEmail(
         email,
-        clientEmailSubject,
-        clientEmailHtmlContent
+        "order-placed-client",
+        orderEmailData(newOrder),
+        { dedupeKey: `order-placed-client:${newOrder._id}` }
       );
       if (clientEmailResult.success) {
         console.log("Order confirmation email sent to client:", email);
@@ -414,40 +629,11 @@ module.exports = (transporter) => {
 
       // --- Send order notification email to the owner/admin ---
       if (process.env.ADMIN_RECEIVING_EMAIL) {
-        const adminEmailSubject = `New Order Placed: ${platform} ${service} - ID: ${newOrder._id
-          .toString()
-          .substring(0, 8)}...`;
-        const adminEmailHtmlContent = `
-          <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-            <h2 style="color: #6a0dad;">New Order Notification!</h2>
-            <p>A new order has been placed on your FollowersCart website.</p>
-            <p><strong>Order ID:</strong> ${newOrder._id}</p>
-            <p><strong>Client Name:</strong> ${name}</p>
-            <p><strong>Client Email:</strong> ${email}</p>
-            <p><strong>Phone Number:</strong> ${phoneNumber}</p>
-            <p><strong>Platform:</strong> ${platform}</p>
-            <p><strong>Service:</strong> ${service}</p>
-            <p><strong>Quantity:</strong> ${newOrder.requiredFollowers.toLocaleString()}</p>
-            <p><strong>Price:</strong> PKR ${newOrder.price.toFixed(0)}</p>
-            <p><strong>Profile Link:</strong> <a href="${profileLink}" target="_blank" rel="noopener noreferrer">${profileLink}</a></p>
-            ${
-              postLink
-                ? `<p><strong>Post Link:</strong> <a href="${postLink}" target="_blank" rel="noopener noreferrer">${postLink}</a></p>`
-                : ""
-            }
-            ${socialId ? `<p><strong>Social ID:</strong> ${socialId}</p>` : ""}
-            <p><strong>Status:</strong> ${newOrder.status}</p>
-            <p><strong>Order Date:</strong> ${new Date(
-              newOrder.createdAt
-            ).toLocaleString()}</p>
-            <hr style="border: 0; border-top: 1px solid #eee; margin: 20px 0;">
-            <p style="font-size: 0.9em; color: #555;">Please log in to the admin panel to manage this order.</p>
-          </div>
-        `;
-        const adminEmailResult = await sendEmail(
+        const adminEmailResult = await sendTemplatedEmail(
           process.env.ADMIN_RECEIVING_EMAIL,
-          adminEmailSubject,
-          adminEmailHtmlContent
+          "order-placed-admin",
+          orderEmailData(newOrder),
+          { dedupeKey: `order-placed-admin:${newOrder._id}` }
         );
         if (adminEmailResult.success) {
           console.log(
@@ -473,6 +659,9 @@ module.exports = (transporter) => {
         order: newOrder,
       });
     } catch (err) {
+      if (err.name === "InvalidCouponError") {
+        return res.status(400).json({ msg: err.message });
+      }
       console.error("❌ Order Creation Failed. Full error:", err);
       // Check for Mongoose validation errors
       if (err.name === "ValidationError") {
@@ -501,14 +690,18 @@ module.exports = (transporter) => {
   });
 
   // GET /followerApi/allOrders - Get all orders (Admin only)
-  router.get("/allOrders", async (req, res) => {
+  // Query: page, limit, sort (createdAt, price, requiredFollowers, status), status, platform,
+  // service (comma-separated for several), email, from/to (order date), minPrice/maxPrice
+  router.get("/allOrders", adminOnly, async (req, res) => {
     console.log("Fetching all orders...");
     try {
-      const orders = await Order.find().sort({ createdAt: -1 });
-      if (!orders || orders.length === 0) {
-        return res.status(200).json({ orders: [] });
-      }
+      const { filter, sort } = buildOrderQuery(req.query);
+      const { docs: orders, pagination } = await paginate(Order, filter, {
+        ...parsePagination(req.query),
+        sort,
+      });
       res.json({
+        pagination,
         orders: orders.map((order) => ({
           id: order._id,
           orderId: order._id,
@@ -530,6 +723,9 @@ module.exports = (transporter) => {
         })),
       });
     } catch (err) {
+      if (err.name === "InvalidQueryError") {
+        return res.status(400).json({ msg: err.message });
+      }
       console.error("Error fetching all orders:", err);
       res
         .status(500)
@@ -538,69 +734,116 @@ module.exports = (transporter) => {
   });
 
   // GET /followerApi/getOrder/:id - Get a single order by ID
-  router.get("/getOrder/:id", async (req, res) => {
-    const { id } = req.params;
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ msg: "Invalid order ID format." });
+  router.get(
+    "/getOrder/:id",
+    authenticate,
+    ownsOrderParam,
+    async (req, res) => {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ msg: "Invalid order ID format." });
+      }
+      try {
+        const order = await Order.findById(id);
+        if (!order) {
+          return res.status(404).json({ msg: "Order not found." });
+        }
+        res.json({
+          ...order.toJSON(),
+          outstandingBalance: order.outstandingBalance,
+        });
+      } catch (err) {
+        console.error("Error fetching order by ID:", err);
+        res.status(500).json({
+          msg: "Server error fetching order by ID",
+          error: err.message,
+        });
+      }
     }
-    try {
-      const order = await Order.findById(id);
-      if (!order) {
-        return res.status(404).json({ msg: "Order not found." });
+  );
+
+  // GET /followerApi/getOrder/:id/history - Get the status timeline of an order
+  router.get(
+    "/getOrder/:id/history",
+    authenticate,
+    ownsOrderParam,
+    async (req, res) => {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ msg: "Invalid order ID format." });
+      }
+      try {
+        const order = await Order.findById(id)
+          .select("status statusHistory createdAt")
+          .populate("statusHistory.actor", "name role");
+        if (!order) {
+          return res.status(404).json({ msg: "Order not found." });
+        }
+        res.json({
+          orderId: order._id,
+          status: order.status,
+          history: order.statusHistory,
+        });
+      } catch (err) {
+        console.error("Error fetching order history:", err);
+        res.status(500).json({
+          msg: "Server error fetching order history",
+          error: err.message,
+        });
       }
-      res.json(order);
-    } catch (err) {
-      console.error("Error fetching order by ID:", err);
-      res
-        .status(500)
-        .json({ msg: "Server error fetching order by ID", error: err.message });
     }
-  });
+  );
 
   // GET /followerApi/userOrders/:email - Get orders for a specific user by email
-  router.get("/userOrders/:email", async (req, res) => {
-    try {
-      const { email } = req.params;
-      if (!email) {
-        return res
-          .status(400)
-          .json({ msg: "Email parameter is required to fetch user orders." });
-      }
-      const orders = await Order.find({ email }).sort({ createdAt: -1 });
-      if (!orders || orders.length === 0) {
-        return res.status(200).json({ orders: [] });
+  router.get(
+    "/userOrders/:email",
+    authenticate,
+    ownsEmailParam,
+    async (req, res) => {
+      try {
+        const { email } = req.params;
+        if (!email) {
+          return res
+            .status(400)
+            .json({ msg: "Email parameter is required to fetch user orders." });
+        }
+        const orders = await Order.find({ email }).sort({ createdAt: -1 });
+        if (!orders || orders.length === 0) {
+          return res.status(200).json({ orders: [] });
+        }
+        res.json({
+          orders: orders.map((order) => ({
+            id: order._id,
+            orderId: order._id,
+            name: order.name,
+            email: order.email,
+            service: order.service,
+            amount: order.requiredFollowers,
+            date: order.createdAt
+              ? new Date(order.createdAt).toLocaleDateString()
+              : "N/A",
+            status: order.status,
+            platform: order.platform,
+            postLink: order.postLink,
+            price: `PKR ${order.price.toFixed(0)}`,
+            profileLink: order.profileLink,
+            socialId: order.socialId,
+            phoneNumber: order.phoneNumber,
+          })),
+        });
+      } catch (err) {
+        console.error("Error fetching user orders:", err);
+        res.status(500).json({
+          msg: "Server error fetching user orders",
+          error: err.message,
+        });
       }
-      res.json({
-        orders: orders.map((order) => ({
-          id: order._id,
-          orderId: order._id,
-          name: order.name,
-          email: order.email,
-          service: order.service,
-          amount: order.requiredFollowers,
-          date: order.createdAt
-            ? new Date(order.createdAt).toLocaleDateString()
-            : "N/A",
-          status: order.status,
-          platform: order.platform,
-          postLink: order.postLink,
-          price: `PKR ${order.price.toFixed(0)}`,
-          profileLink: order.profileLink,
-          socialId: order.socialId,
-          phoneNumber: order.phoneNumber,
-        })),
-      });
-    } catch (err) {
-      console.error("Error fetching user orders:", err);
-      res.status(500).json({
-        msg: "Server error fetching user orders",
-        error: err.message,
-      });
     }
-  });
+  );
 
   // DELETE /followerApi/deleteOrder/:id - Delete an order record (Admin only)
-  router.delete("/deleteOrder/:id", async (req, res) => {
+  // The order is soft deleted so its payments and refunds keep pointing at it.
+  router.delete("/deleteOrder/:id", adminOnly, async (req, res) => {
     const { id } = req.params;
     try {
       if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -610,7 +853,15 @@ module.exports = (transporter) => {
       if (!order) {
         return res.status(404).json({ msg: "Order not found." });
       }
-      await Order.findByIdAndDelete(id);
+      const orderBefore = snapshot(order);
+      await order.softDelete(req.user._id);
+      await recordAudit(req, {
+        action: "order.delete",
+        entityType: "Order",
+        entityId: order._id,
+        before: orderBefore,
+        after: order,
+      });
       res.json({ msg: "Order deleted successfully." });
     } catch (err) {
       console.error("Error deleting order:", err);
@@ -621,124 +872,128 @@ module.exports = (transporter) => {
   });
 
   // PATCH /followerApi/updateOrder/:id - Update an order's status or other details
-  router.patch("/updateOrder/:id", async (req, res) => {
-    const { id } = req.params;
-    const updates = req.body;
-    try {
-      if (!mongoose.Types.ObjectId.isValid(id)) {
-        return res.status(400).json({ msg: "Invalid order ID format." });
-      }
-      const updatedOrder = await Order.findByIdAndUpdate(id, updates, {
-        new: true,
-        runValidators: true,
-      });
-      if (!updatedOrder) {
-        return res.status(404).json({ msg: "Order not found." });
-      }
+  router.patch(
+    "/updateOrder/:id",
+    adminOnly,
+    allowFields("Order"),
+    async (req, res) => {
+      const { id } = req.params;
+      // 'note' is stored on the status history entry rather than on the order;
+      // 'overrideBalance' lets an admin start an order that is not fully paid
+      const { status, note, overrideBalance, ...updates } = req.body;
+      try {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return res.status(400).json({ msg: "Invalid order ID format." });
+        }
+        const updatedOrder = await Order.findById(id);
+        if (!updatedOrder) {
+          return res.status(404).json({ msg: "Order not found." });
+        }
 
-      // Send email to client on order status update
-      const clientEmailSubject = `Your Order #${updatedOrder._id
-        .toString()
-        .substring(0, 8)}... Status Updated to ${updatedOrder.status}`;
-      const clientEmailHtmlContent = `
-        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-          <h2 style="color: #6a0dad;">Hello ${updatedOrder.name},</h2>
-          <p>Your order for <strong>${
-            updatedOrder.service
-          }</strong> on <strong>${
-        updatedOrder.platform
-      }</strong> has been updated.</p>
-          <p><strong>Order ID:</strong> ${updatedOrder._id}</p>
-          <p><strong>New Status:</strong> <span style="color: ${
-            updatedOrder.status === "Completed"
-              ? "#28a745"
-              : updatedOrder.status === "Cancelled" ||
-                updatedOrder.status === "Failed" ||
-                updatedOrder.status === "Refunded"
-              ? "#dc3545"
-              : "#ffc107"
-          }; font-weight: bold;">${updatedOrder.status}</span></p>
-          <p style="font-size: 0.9em; color: #555;">Thank you for your patience.<br>The FollowersCart Team</p>
-        </div>
-      `;
-      const clientEmailResult = await sendEmail(
-        updatedOrder.email,
-        clientEmailSubject,
-        clientEmailHtmlContent
-      );
-      if (clientEmailResult.success) {
-        console.log(
-          "Order status update email sent to client:",
-          updatedOrder.email
-        );
-      } else {
-        console.error(
-          "Failed to send order status update email to client:",
-          updatedOrder.email,
-          clientEmailResult.error
-        );
-      }
+        const statusChanged =
+          status !== undefined && status !== updatedOrder.status;
+        if (statusChanged && !updatedOrder.canTransitionTo(status)) {
+          return res.status(400).json({
+            msg: `Order status cannot change from '${updatedOrder.status}' to '${status}'.`,
+            allowedStatuses:
+              Order.ORDER_STATUS_TRANSITIONS[updatedOrder.status] || [],
+          });
+        }
+        const balanceBlock =
+          statusChanged &&
+          updatedOrder.getBalanceBlockReason(status, { overrideBalance });
+        if (balanceBlock) {
+          return res.status(400).json({
+            msg: balanceBlock,
+            outstandingBalance: updatedOrder.outstandingBalance,
+          });
+        }
 
-      // Send email to admin on order status update
-      if (process.env.ADMIN_RECEIVING_EMAIL) {
-        const adminEmailSubject = `Order Status Changed: Order ID ${updatedOrder._id
-          .toString()
-          .substring(0, 8)}... - ${updatedOrder.status}`;
-        const adminEmailHtmlContent = `
-          <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-            <h2 style="color: #6a0dad;">Order Status Change Notification!</h2>
-            <p>Order ID: <strong>${
-              updatedOrder._id
-            }</strong> for Client <strong>${
-          updatedOrder.name
-        }</strong> has been updated to <strong>${
-          updatedOrder.status
-        }</strong>.</p>
-            <p><strong>Client Email:</strong> ${updatedOrder.email}</p>
-            <p><strong>Service:</strong> ${updatedOrder.service}</p>
-            <p><strong>New Status:</strong> <span style="color: ${
-              updatedOrder.status === "Completed"
-                ? "#28a745"
-                : updatedOrder.status === "Cancelled" ||
-                  updatedOrder.status === "Failed" ||
-                  updatedOrder.status === "Refunded"
-                ? "#dc3545"
-                : "#ffc107"
-            }; font-weight: bold;">${updatedOrder.status}</span></p>
-            <p style="font-size: 0.9em; color: #555;">Please review the order in your admin panel.</p>
-          </div>
-        `;
-        const adminEmailResult = await sendEmail(
-          process.env.ADMIN_RECEIVING_EMAIL,
-          adminEmailSubject,
-          adminEmailHtmlContent
+        const orderBefore = snapshot(updatedOrder);
+        updatedOrder.set(updates);
+        if (statusChanged) {
+          updatedOrder.transitionTo(status, { actor: req.user._id, note });
+        }
+        await updatedOrder.save();
+        await recordAudit(req, {
+          action: "order.update",
+          entityType: "Order",
+          entityId: updatedOrder._id,
+          before: orderBefore,
+          after: updatedOrder,
+        });
+
+        // Only notify the client and admin when the status actually changed
+        if (!statusChanged) {
+          return res.json({
+            msg: "Order updated successfully",
+            order: updatedOrder,
+          });
+        }
+
+        // Send email to client on order status update
+        const clientEmailResult = await sendTemplatedEmail(
+          updatedOrder.email,
+          "order-status-client",
+          orderEmailData(updatedOrder)
         );
-        if (adminEmailResult.success) {
+        if (clientEmailResult.success) {
           console.log(
-            "Admin notification email sent for order status change:",
-            process.env.ADMIN_RECEIVING_EMAIL
+            "Order status update email sent to client:",
+            updatedOrder.email
           );
         } else {
           console.error(
-            "Failed to send admin notification email for order status change:",
+            "Failed to send order status update email to client:",
+            updatedOrder.email,
+            clientEmailResult.error
+          );
+        }
+
+        // Send email to admin on order status update
+        if (process.env.ADMIN_RECEIVING_EMAIL) {
+          const adminEmailResult = await sendTemplatedEmail(
             process.env.ADMIN_RECEIVING_EMAIL,
-            adminEmailResult.error
+            "order-status-admin",
+            orderEmailData(updatedOrder)
+          );
+          if (adminEmailResult.success) {
+            console.log(
+              "Admin notification email sent for order status change:",
+              process.env.ADMIN_RECEIVING_EMAIL
+            );
+          } else {
+            console.error(
+              "Failed to send admin notification email for order status change:",
+              process.env.ADMIN_RECEIVING_EMAIL,
+              adminEmailResult.error
+            );
+          }
+        }
+        res.json({ msg: "Order updated successfully", order: updatedOrder });
+      } catch (err) {
+        console.error("Order Update Error:", err);
+        if (err.name === "ValidationError") {
+          const errors = Object.keys(err.errors).map(
+            (key) => err.errors[key].message
           );
+          return res
+            .status(400)
+            .json({ msg: "Validation failed for order update.", errors });
         }
+        res
+          .status(500)
+          .json({ msg: "Server error updating order", error: err.message });
       }
-      res.json({ msg: "Order updated successfully", order: updatedOrder });
-    } catch (err) {
-      console.error("Order Update Error:", err);
-      res
-        .status(500)
-        .json({ msg: "Server error updating order", error: err.message });
     }
-  });
+  );
 
   // ============================= // Payment Management Routes // =============================
 
-  // POST /followerApi/createPayment - Create a new payment record
-  router.post("/createPayment", async (req, res) => {
+  // Shared by /createPayment (JSON) and /submitPayment (multipart with the screenshot file).
+  // Screenshots are only taken as uploads, stored under the payment's own ID.
+  const createPayment = async (req, res) => {
+    let proof = null;
     try {
       const {
         orderId,
@@ -747,9 +1002,7 @@ module.exports = (transporter) => {
         amount,
         paymentMethod,
         transactionId,
-        screenshotUrl,
         remarks,
-        status, // 'Pending', 'Approved', 'Rejected'
       } = req.body;
 
       // Basic validation
@@ -765,52 +1018,99 @@ module.exports = (transporter) => {
           .status(400)
           .json({ msg: "Missing one or more required payment fields." });
       }
+      if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        return res.status(400).json({ msg: "Invalid order ID format." });
+      }
+      if (isNaN(Number(amount)) || Number(amount) <= 0) {
+        return res
+          .status(400)
+          .json({ msg: "Amount must be a positive number." });
+      }
+      if (GATEWAY_ONLY_METHODS.includes(paymentMethod)) {
+        return res.status(400).json({
+          msg: `'${paymentMethod}' payments are made through /paymentGateways.`,
+        });
+      }
+
+      // A payment must belong to an existing order
+      const order = await Order.findById(orderId);
+      if (!order) {
+        return res.status(404).json({ msg: "Order not found." });
+      }
+
+      // Only the email the order was placed with can pay for it
+      if (order.email !== String(clientEmail).trim().toLowerCase()) {
+        return res.status(400).json({
+          msg: "The client email does not match the email on this order.",
+        });
+      }
+      if (!Order.PAYABLE_ORDER_STATUSES.includes(order.status)) {
+        return res.status(400).json({
+          msg: `Order is '${order.status}' and can no longer be paid.`,
+        });
+      }
+
+      const paymentId = new mongoose.Types.ObjectId();
+      if (req.file) {
+        proof = await getStorage().upload(req.file.buffer, {
+          folder: PAYMENT_PROOF_FOLDER,
+          publicId: paymentId.toString(),
+          mimeType: req.file.mimetype,
+        });
+      }
 
       // Create new payment record
       const newPayment = await Payment.create({
+        _id: paymentId,
         orderId,
         clientName,
         clientEmail,
         amount,
         paymentMethod,
         transactionId,
-        screenshotUrl,
+        screenshotUrl: proof ? proof.url : "",
+        screenshotPublicId: proof ? proof.publicId : "",
         remarks,
-        status: status || "Pending", // Default to Pending if not provided
+        status: "Pending", // Only an admin can approve or reject (see /updatePayment/:id)
         paymentDate: new Date(),
       });
+      await recordAudit(req, {
+        action: "payment.create",
+        entityType: "Payment",
+        entityId: newPayment._id,
+        after: newPayment,
+      });
 
       // After successful payment creation, update the associated order's status to "Payment Pending"
-      const orderToUpdate = await Order.findById(orderId);
-      if (orderToUpdate) {
-        orderToUpdate.status = "Payment Pending"; // Indicate that payment has been submitted and is awaiting review
-        await orderToUpdate.save();
+      if (order.canTransitionTo("Payment Pending")) {
+        const orderBefore = snapshot(order);
+        // Indicate that payment has been submitted and is awaiting review
+        order.transitionTo("Payment Pending", {
+          note: `Payment submitted (${paymentMethod}, ${transactionId})`,
+        });
+        await order.save();
+        await recordAudit(req, {
+          action: "order.update",
+          entityType: "Order",
+          entityId: order._id,
+          before: orderBefore,
+          after: order,
+        });
         console.log(
           `Order ${orderId} status updated to 'Payment Pending' after payment confirmation.`
         );
       } else {
-        console.warn(
-          `Order with ID ${orderId} not found for payment confirmation. Payment record created but order not updated.`
+        console.log(
+          `Order ${orderId} status is ${order.status}, not changing to 'Payment Pending'.`
         );
       }
 
       // Send payment confirmation email to the client
-      const clientEmailSubject = "Payment Received for Your Order!";
-      const clientEmailHtmlContent = `
-        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-          <h2 style="color: #6a0dad;">Hello ${clientName},</h2>
-          <p>We have received your payment for Order ID: <strong>${orderId}</strong>.</p>
-          <p><strong>Amount:</strong> PKR ${newPayment.amount.toFixed(0)}</p>
-          <p><strong>Payment Method:</strong> ${paymentMethod}</p>
-          <p><strong>Transaction ID:</strong> ${transactionId}</p>
-          <p>Your payment is currently under review. We will notify you once it's approved.</p>
-          <p style="font-size: 0.9em; color: #555;">Best regards,<br>The FollowersCart Team</p>
-        </div>
-      `;
-      const clientEmailResult = await sendEmail(
+      const clientEmailResult = await sendTemplatedEmail(
         clientEmail,
-        clientEmailSubject,
-        clientEmailHtmlContent
+        "payment-received-client",
+        paymentEmailData(newPayment),
+        { dedupeKey: `payment-received-client:${newPayment._id}` }
       );
       if (clientEmailResult.success) {
         console.log("Payment confirmation email sent to client:", clientEmail);
@@ -824,35 +1124,11 @@ module.exports = (transporter) => {
 
       // Send payment notification email to the admin
       if (process.env.ADMIN_RECEIVING_EMAIL) {
-        const adminEmailSubject = `New Payment Received for Order ID: ${orderId
-          .toString()
-          .substring(0, 8)}...`;
-        const adminEmailHtmlContent = `
-          <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-            <h2 style="color: #6a0dad;">New Payment Notification!</h2>
-            <p>A new payment has been recorded for Order ID: <strong>${orderId}</strong>.</p>
-            <p><strong>Client Name:</strong> ${clientName}</p>
-            <p><strong>Client Email:</strong> ${clientEmail}</p>
-            <p><strong>Amount:</strong> PKR ${newPayment.amount.toFixed(0)}</p>
-            <p><strong>Payment Method:</strong> ${paymentMethod}</p>
-            <p><strong>Transaction ID:</strong> ${transactionId}</p>
-            ${
-              screenshotUrl
-                ? `<p><strong>Screenshot:</strong> <a href="${screenshotUrl}" target="_blank" rel="noopener noreferrer">View Screenshot</a></p>`
-                : ""
-            }
-            <p><strong>Status:</strong> ${newPayment.status}</p>
-            <p><strong>Payment Date:</strong> ${new Date(
-              newPayment.paymentDate
-            ).toLocaleString()}</p>
-            <p><strong>Remarks:</strong> ${remarks || "N/A"}</p>
-            <p style="font-size: 0.9em; color: #555;">Please log in to your admin panel to review and approve this payment.</p>
-          </div>
-        `;
-        const adminEmailResult = await sendEmail(
+        const adminEmailResult = await sendTemplatedEmail(
           process.env.ADMIN_RECEIVING_EMAIL,
-          adminEmailSubject,
-          adminEmailHtmlContent
+          "payment-received-admin",
+          paymentEmailData(newPayment),
+          { dedupeKey: `payment-received-admin:${newPayment._id}` }
         );
         if (adminEmailResult.success) {
           console.log(
@@ -874,40 +1150,78 @@ module.exports = (transporter) => {
       res.status(201).json({
         msg: "Payment record created successfully",
         payment: newPayment,
+        // Balance before this payment is reviewed
+        orderBalance: {
+          price: order.price,
+          amountPaid: order.amountPaid,
+          outstandingBalance: order.outstandingBalance,
+        },
       });
     } catch (err) {
-      console.error("Payment Creation Failed:", err);
+      // Don't keep a screenshot for a payment that was never recorded
+      if (
+        proof &&
+        !(await Payment.exists({ screenshotPublicId: proof.publicId }))
+      ) {
+        await getStorage()
+          .remove(proof.publicId)
+          .catch((removeErr) =>
+            console.error("Failed to remove orphaned payment proof:", removeErr)
+          );
+      }
+      if (err.name === "ValidationError") {
+        const errors = Object.keys(err.errors).map(
+          (key) => err.errors[key].message
+        );
+        return res
+          .status(400)
+          .json({ msg: "Validation failed for payment creation.", errors });
+      }
       if (err.code === 11000) {
         return res.status(409).json({
           msg: "A payment with this transaction ID already exists for this method.",
           error: err.message,
         });
       }
+      console.error("Payment Creation Failed:", err);
       res.status(500).json({
         msg: "Server error during payment creation",
         error: err.message,
       });
     }
-  });
+  };
+
+  // POST /followerApi/createPayment - Create a new payment record
+  router.post("/createPayment", createPayment);
+
+  // POST /followerApi/submitPayment - Create a payment with its screenshot (multipart/form-data)
+  // The image goes in the 'screenshot' field (JPEG, PNG or WebP); other fields as for /createPayment.
+  router.post("/submitPayment", paymentProofUpload, createPayment);
 
   // GET /followerApi/allPayments - Get all payments (Admin only)
-  router.get("/allPayments", async (req, res) => {
+  // Query: page, limit, sort (paymentDate, amount, createdAt), status, method, from/to (payment date)
+  router.get("/allPayments", adminOnly, async (req, res) => {
     try {
-      // Find all payments and sort by payment date (latest first), and populate the orderId to get order details
-      const payments = await Payment.find()
-        .populate("orderId") // This populates the order details based on orderId
-        .sort({ paymentDate: -1 });
-
-      if (!payments || payments.length === 0) {
-        return res.status(200).json({ payments: [] });
-      }
+      // Latest payments first by default, with the order details populated
+      const { filter, sort } = buildPaymentQuery(req.query);
+      const { docs: payments, pagination } = await paginate(
+        Payment,
+        filter,
+        { ...parsePagination(req.query), sort },
+        (query) => query.populate("orderId")
+      );
 
       // Map payments to a format suitable for frontend display, including populated order details
       res.json({
+        pagination,
         payments: payments.map((payment) => ({
           _id: payment._id, // Use _id for consistency
           orderId: payment.orderId ? payment.orderId._id : null,
           orderPrice: payment.orderId ? payment.orderId.price : null, // Access populated order price
+          orderAmountPaid: payment.orderId ? payment.orderId.amountPaid : null,
+          orderPaymentStatus: payment.orderId
+            ? payment.orderId.paymentStatus
+            : null,
           clientName: payment.clientName,
           clientEmail: payment.clientEmail,
           amount: payment.amount,
@@ -922,6 +1236,9 @@ module.exports = (transporter) => {
         })),
       });
     } catch (err) {
+      if (err.name === "InvalidQueryError") {
+        return res.status(400).json({ msg: err.message });
+      }
       console.error("Error fetching all payments:", err);
       res
         .status(500)
@@ -929,248 +1246,196 @@ module.exports = (transporter) => {
     }
   });
 
-  // PATCH /followerApi/updatePayment/:id - Update a payment record (Admin only)
-  router.patch("/updatePayment/:id", async (req, res) => {
-    const { id } = req.params;
-    const updates = req.body; // Expects fields like { status: "Approved" } or { remarks: "..." }
+  // POST /followerApi/reconcileOrders - Recompute amountPaid/paymentStatus of every order
+  // from its approved payments, e.g. for orders created before payments were tracked (Admin only)
+  router.post("/reconcileOrders", adminOnly, async (req, res) => {
     try {
-      if (!mongoose.Types.ObjectId.isValid(id)) {
-        return res.status(400).json({ msg: "Invalid payment ID format." });
-      }
-
-      // Find and update the payment. 'new: true' returns the updated document.
-      const updatedPayment = await Payment.findByIdAndUpdate(id, updates, {
-        new: true,
-        runValidators: true, // Ensure schema validators are run on update
-      });
-
-      if (!updatedPayment) {
-        return res.status(404).json({ msg: "Payment not found." });
-      }
-
-      // If the payment status is changed to "Approved", update the associated order's status to "In Progress"
-      // Only do this if the order isn't already in a final state (Completed, Cancelled, Refunded, Failed)
-      if (updatedPayment.status === "Approved") {
-        const orderToUpdate = await Order.findById(updatedPayment.orderId);
-        if (orderToUpdate) {
-          if (
-            orderToUpdate.status !== "Completed" &&
-            orderToUpdate.status !== "Cancelled" &&
-            orderToUpdate.status !== "Refunded" &&
-            orderToUpdate.status !== "Failed" &&
-            orderToUpdate.status !== "In Progress" // Prevent re-setting if already in progress
-          ) {
-            orderToUpdate.status = "In Progress";
-            await orderToUpdate.save();
-            console.log(
-              `Order ${updatedPayment.orderId} status updated to 'In Progress' due to payment approval.`
-            );
-          } else {
-            console.log(
-              `Order ${updatedPayment.orderId} status is ${orderToUpdate.status}, not changing to 'In Progress'.`
-            );
-          }
-        } else {
-          console.warn(
-            `Associated order ${updatedPayment.orderId} not found for payment ${id}.`
-          );
-        }
-      }
-
-      // Send email to client on payment status update
-      const clientEmailSubject = `Your Payment for Order #${updatedPayment.orderId
-        .toString()
-        .substring(0, 8)}... Status: ${updatedPayment.status}`;
-      const clientEmailHtmlContent = `
-        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-          <h2 style="color: #6a0dad;">Hello ${updatedPayment.clientName},</h2>
-          <p>Your payment for Order ID: <strong>${
-            updatedPayment.orderId
-          }</strong> has been updated.</p>
-          <p><strong>New Status:</strong> <span style="color: ${
-            updatedPayment.status === "Approved"
-              ? "#28a745"
-              : updatedPayment.status === "Rejected"
-              ? "#dc3545"
-              : "#ffc107"
-          }; font-weight: bold;">${updatedPayment.status}</span></p>
-          <p><strong>Amount:</strong> PKR ${updatedPayment.amount.toFixed(
-            0
-          )}</p>
-          <p><strong>Payment Method:</strong> ${
-            updatedPayment.paymentMethod
-          }</p>
-          <p><strong>Transaction ID:</strong> ${
-            updatedPayment.transactionId
-          }</p>
-          ${
-            updatedPayment.screenshotUrl
-              ? `<p><strong>Screenshot:</strong> <a href="${updatedPayment.screenshotUrl}" target="_blank" rel="noopener noreferrer">View Screenshot</a></p>`
-              : ""
-          }
-          ${
-            updatedPayment.remarks && updatedPayment.remarks !== "No remarks."
-              ? `<p><strong>Remarks:</strong> ${updatedPayment.remarks}</p>`
-              : ""
-          }
-          <p style="font-size: 0.9em; color: #555;">Thank you for your patience.<br>The FollowersCart Team</p>
-        </div>
-      `;
-      const clientEmailResult = await sendEmail(
-        updatedPayment.clientEmail,
-        clientEmailSubject,
-        clientEmailHtmlContent
+      const totals = await Payment.aggregate([
+        { $match: { status: "Approved" } },
+        { $group: { _id: "$orderId", total: { $sum: "$amount" } } },
+      ]);
+      const totalsByOrder = new Map(
+        totals.map((entry) => [entry._id.toString(), entry.total])
       );
-      if (clientEmailResult.success) {
-        console.log(
-          "Payment status update email sent to client:",
-          updatedPayment.clientEmail
-        );
-      } else {
-        console.error(
-          "Failed to send payment status update email to client:",
-          updatedPayment.clientEmail,
-          clientEmailResult.error
-        );
-      }
-
-      // Send email to admin on payment status update
-      if (process.env.ADMIN_RECEIVING_EMAIL) {
-        const adminEmailSubject = `Payment Status Changed: Order ID ${updatedPayment.orderId
-          .toString()
-          .substring(0, 8)}... - ${updatedPayment.status}`;
-        const adminEmailHtmlContent = `
-          <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-            <h2 style="color: #6a0dad;">Payment Status Change Notification!</h2>
-            <p>Payment ID: <strong>${
-              updatedPayment._id
-            }</strong> for Order ID <strong>${
-          updatedPayment.orderId
-        }</strong> (Client: ${
-          updatedPayment.clientName
-        }) has been updated to <strong>${updatedPayment.status}</strong>.</p>
-            <p><strong>Client Email:</strong> ${updatedPayment.clientEmail}</p>
-            <p><strong>Amount:</strong> PKR ${updatedPayment.amount.toFixed(
-              0
-            )}</p>
-            <p><strong>Payment Method:</strong> ${
-              updatedPayment.paymentMethod
-            }</p>
-            <p><strong>Transaction ID:</strong> ${
-              updatedPayment.transactionId
-            }</p>
-            ${
-              updatedPayment.screenshotUrl
-                ? `<p><strong>Screenshot:</strong> <a href="${updatedPayment.screenshotUrl}" target="_blank" rel="noopener noreferrer">View Screenshot</a></p>`
-                : ""
-            }
-            ${
-              updatedPayment.remarks && updatedPayment.remarks !== "No remarks."
-                ? `<p><strong>Remarks:</strong> ${updatedPayment.remarks}</p>`
-                : ""
-            }
-            <p style="font-size: 0.9em; color: #555;">Please review the payment in your admin panel.</p>
-          </div>
-        `;
-        const adminEmailResult = await sendEmail(
-          process.env.ADMIN_RECEIVING_EMAIL,
-          adminEmailSubject,
-          adminEmailHtmlContent
-        );
-        if (adminEmailResult.success) {
-          console.log(
-            "Admin notification email sent for payment status change:",
-            process.env.ADMIN_RECEIVING_EMAIL
-          );
-        } else {
-          console.error(
-            "Failed to send admin notification email for payment status change:",
-            process.env.ADMIN_RECEIVING_EMAIL,
-            adminEmailResult.error
-          );
+      // Orders with approved payments, plus orders still showing payments that are no longer approved
+      const orders = Order.find({
+        $or: [
+          { _id: { $in: totals.map((entry) => entry._id) } },
+          { amountPaid: { $gt: 0 } },
+        ],
+      }).cursor();
+
+      let updated = 0;
+      for await (const order of orders) {
+        order.applyApprovedTotal(totalsByOrder.get(order._id.toString()) || 0);
+        if (order.isModified()) {
+          await order.save();
+          updated += 1;
         }
       }
-
-      res.json({
-        msg: "Payment updated successfully",
-        payment: updatedPayment,
+      await recordAudit(req, {
+        action: "order.reconcile",
+        entityType: "Order",
+        after: { updated },
       });
+      res.json({ msg: `Reconciled payments for ${updated} orders.`, updated });
     } catch (err) {
-      console.error("Payment Update Error:", err);
+      console.error("Error reconciling orders:", err);
       res
         .status(500)
-        .json({ msg: "Server error updating payment", error: err.message });
+        .json({ msg: "Server error reconciling orders", error: err.message });
     }
   });
 
-  // ============================= // Blog Post Routes // =============================
-
-  // GET /followerApi/blogPosts - Get all blog posts
-  router.get("/blogPosts", async (req, res) => {
-    try {
-      const posts = await BlogPost.find().sort({ createdAt: -1 });
-      res.json({ posts });
-    } catch (err) {
-      console.error("Error fetching blog posts from DB:", err);
-      res.status(500).json({ msg: "Server error fetching blog posts." });
-    }
-  });
+  // PATCH /followerApi/updatePayment/:id - Update a payment record (Admin only)
+  router.patch(
+    "/updatePayment/:id",
+    adminOnly,
+    allowFields("Payment"),
+    async (req, res) => {
+      const { id } = req.params;
+      // Expects fields like { status: "Approved" } or { remarks: "..." }. 'overrideBalance'
+      // lets an admin start an underpaid order anyway.
+      const { overrideBalance, ...updates } = req.body;
+      try {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return res.status(400).json({ msg: "Invalid payment ID format." });
+        }
 
-  // POST /followerApi/blogPosts - Create a new blog post (Admin only, or authenticated user)
-  router.post("/blogPosts", async (req, res) => {
-    try {
-      const { title, content, author, snippet, imageUrl } = req.body;
+        // Load, update and save the payment so the previous values can be audited
+        const updatedPayment = await Payment.findById(id);
+        if (!updatedPayment) {
+          return res.status(404).json({ msg: "Payment not found." });
+        }
+        const { status } = updates;
+        const statusChanged =
+          status !== undefined && status !== updatedPayment.status;
+        // Unknown statuses are left to the schema validation below
+        if (statusChanged && Payment.PAYMENT_STATUSES.includes(status)) {
+          if (!updatedPayment.canTransitionTo(status)) {
+            return res.status(400).json({
+              msg: `Payment status cannot change from '${updatedPayment.status}' to '${status}'.`,
+            });
+          }
+          // Approved refunds are paid out of the order's approved payments, which must
+          // still cover them without this one
+          if (updatedPayment.status === "Approved") {
+            const sumAmounts = {
+              $group: { _id: null, total: { $sum: "$amount" } },
+            };
+            const [[paid], [refunded]] = await Promise.all([
+              Payment.aggregate([
+                {
+                  $match: {
+                    orderId: updatedPayment.orderId,
+                    status: "Approved",
+                    _id: { $ne: updatedPayment._id },
+                  },
+                },
+                sumAmounts,
+              ]),
+              Refund.aggregate([
+                {
+                  $match: {
+                    orderId: updatedPayment.orderId,
+                    status: "Approved",
+                  },
+                },
+                sumAmounts,
+              ]),
+            ]);
+            const paidTotal = paid ? paid.total : 0;
+            const refundedTotal = refunded ? refunded.total : 0;
+            if (refundedTotal > paidTotal) {
+              return res.status(400).json({
+                msg: `PKR ${refundedTotal} has been refunded on this order, which its other approved payments (PKR ${paidTotal}) would not cover.`,
+                paidTotal,
+                refundedTotal,
+              });
+            }
+          }
+        }
 
-      if (!title || !content) {
-        return res
-          .status(400)
-          .json({ msg: "Title and content are required for a blog post." });
-      }
+        const paymentBefore = snapshot(updatedPayment);
+        updatedPayment.set(updates);
+        await updatedPayment.save();
+        await recordAudit(req, {
+          action: "payment.update",
+          entityType: "Payment",
+          entityId: updatedPayment._id,
+          before: paymentBefore,
+          after: updatedPayment,
+        });
 
-      const newPost = await BlogPost.create({
-        title,
-        content,
-        author: author || "Admin", // Default author if not provided
-        snippet, // Will be auto-generated if not provided in schema pre-save hook
-        imageUrl,
-      });
-      res
-        .status(201)
-        .json({ msg: "Blog post created successfully", post: newPost });
-    } catch (err) {
-      console.error("Error creating blog post:", err);
-      if (err.code === 11000) {
-        // Duplicate key error (e.g., duplicate title if unique is set)
-        return res.status(409).json({
-          msg: "A blog post with this title already exists.",
-          error: err.message,
+        // Re-total the order's payments and start (or reset) the order accordingly
+        const reconciliation = await settleOrderPayment(req, updatedPayment, {
+          overrideBalance,
         });
-      }
-      res
-        .status(500)
-        .json({ msg: "Server error creating blog post.", error: err.message });
-    }
-  });
 
-  // GET /followerApi/blogPosts/:id - Get a single blog post by ID
-  router.get("/blogPosts/:id", async (req, res) => {
-    const { id } = req.params;
-    try {
-      if (!mongoose.Types.ObjectId.isValid(id)) {
-        return res.status(400).json({ msg: "Invalid blog post ID format." });
-      }
-      const post = await BlogPost.findById(id);
-      if (!post) {
-        return res.status(404).json({ msg: "Blog post not found." });
+        // Notify the client and the admin only when the status actually changed
+        if (statusChanged) {
+          // Send email to client on payment status update
+          const clientEmailResult = await sendTemplatedEmail(
+            updatedPayment.clientEmail,
+            "payment-status-client",
+            paymentEmailData(updatedPayment)
+          );
+          if (clientEmailResult.success) {
+            console.log(
+              "Payment status update email sent to client:",
+              updatedPayment.clientEmail
+            );
+          } else {
+            console.error(
+              "Failed to send payment status update email to client:",
+              updatedPayment.clientEmail,
+              clientEmailResult.error
+            );
+          }
+
+          // Send email to admin on payment status update
+          if (process.env.ADMIN_RECEIVING_EMAIL) {
+            const adminEmailResult = await sendTemplatedEmail(
+              process.env.ADMIN_RECEIVING_EMAIL,
+              "payment-status-admin",
+              paymentEmailData(updatedPayment)
+            );
+            if (adminEmailResult.success) {
+              console.log(
+                "Admin notification email sent for payment status change:",
+                process.env.ADMIN_RECEIVING_EMAIL
+              );
+            } else {
+              console.error(
+                "Failed to send admin notification email for payment status change:",
+                process.env.ADMIN_RECEIVING_EMAIL,
+                adminEmailResult.error
+              );
+            }
+          }
+        }
+
+        res.json({
+          msg: "Payment updated successfully",
+          payment: updatedPayment,
+          reconciliation,
+        });
+      } catch (err) {
+        if (err.name === "ValidationError") {
+          const errors = Object.keys(err.errors).map(
+            (key) => err.errors[key].message
+          );
+          return res
+            .status(400)
+            .json({ msg: "Validation failed for payment update.", errors });
+        }
+        console.error("Payment Update Error:", err);
+        res
+          .status(500)
+          .json({ msg: "Server error updating payment", error: err.message });
       }
-      res.json({ post });
-    } catch (err) {
-      console.error("Error fetching single blog post:", err);
-      res
-        .status(500)
-        .json({ msg: "Server error fetching blog post.", error: err.message });
     }
-  });
+  );
 
   // ============================= // Owner Profile Routes // =============================
 
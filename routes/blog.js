@@ -0,0 +1,372 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const BlogPost = require("../models/BlogPost");
+const { adminOnly, optionalAuthenticate } = require("../middleware/auth");
+const { allowFields } = require("../middleware/fieldPolicy");
+const { snapshot, recordAudit } = require("../utils/audit");
+const {
+  invalidQuery,
+  parsePagination,
+  paginate,
+} = require("../utils/pagination");
+const { buildBlogPostQuery } = require("../utils/listFilters");
+
+// Blog routes. The public sees published posts only (scheduled posts once their publishAt
+// has passed); admins manage drafts and scheduled posts and can preview them by ID or slug.
+module.exports = () => {
+  const router = express.Router();
+
+  const isAdmin = (req) => Boolean(req.user && req.user.role === "admin");
+
+  const handleBlogError = (res, err, action) => {
+    if (err.name === "InvalidQueryError") {
+      return res.status(400).json({ msg: err.message });
+    }
+    if (err.name === "ValidationError") {
+      const errors = Object.keys(err.errors).map(
+        (key) => err.errors[key].message
+      );
+      return res
+        .status(400)
+        .json({ msg: `Validation failed for ${action}.`, errors });
+    }
+    if (err.code === 11000) {
+      // Duplicate key error on the title or slug
+      return res.status(409).json({
+        msg: "A blog post with this title or slug already exists.",
+        error: err.message,
+      });
+    }
+    console.error(`Error during ${action}:`, err);
+    res
+      .status(500)
+      .json({ msg: `Server error during ${action}.`, error: err.message });
+  };
+
+  // A single post in the requested ?format: "markdown" (the source in `content`), "html"
+  // (the sanitized HTML in `content`), or both (`content` and `contentHtml`) by default
+  const formatPost = (post, format) => {
+    if (format === undefined || format === "") return post;
+    if (!["markdown", "html"].includes(format)) {
+      throw invalidQuery("format must be 'markdown' or 'html'.");
+    }
+    const { contentHtml, ...rest } = post.toObject({ virtuals: true });
+    return {
+      ...rest,
+      content: format === "html" ? contentHtml : rest.content,
+      contentFormat: format,
+    };
+  };
+
+  // One page of public posts (listing fields only), newest first, optionally limited to a
+  // tag and/or category. Returns { posts, pagination }.
+  const findPublicPosts = async (query, { tag, category } = query) => {
+    const filter = BlogPost.publicFilter();
+    if (tag) filter.tags = String(tag).trim().toLowerCase();
+    if (category) filter.categories = String(category).trim();
+    const { docs: posts, pagination } = await paginate(
+      BlogPost,
+      filter,
+      { ...parsePagination(query), sort: { publishAt: -1, _id: -1 } },
+      (q) => q.select(BlogPost.LISTING_FIELDS)
+    );
+    return { posts, pagination };
+  };
+
+  // Distinct values of `field` across public posts, with the number of posts for each
+  const countPublicValues = (field) =>
+    BlogPost.aggregate([
+      { $match: BlogPost.publicFilter() },
+      { $unwind: `$${field}` },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, name: "$_id", count: 1 } },
+    ]);
+
+  // ============================= // Blog Post Routes // =============================
+
+  // GET /followerApi/blogPosts - Get published blog posts without their content
+  // Query: page, limit, tag, category
+  router.get("/blogPosts", async (req, res) => {
+    try {
+      res.json(await findPublicPosts(req.query));
+    } catch (err) {
+      if (err.name === "InvalidQueryError") {
+        return res.status(400).json({ msg: err.message });
+      }
+      console.error("Error fetching blog posts from DB:", err);
+      res.status(500).json({ msg: "Server error fetching blog posts." });
+    }
+  });
+
+  // GET /followerApi/blogPosts/search?q= - Full-text search of published blog posts
+  // Best matches first (title matches outrank content matches). Query: q, page, limit
+  router.get("/blogPosts/search", async (req, res) => {
+    try {
+      const q = String(req.query.q || "").trim();
+      if (!q) throw invalidQuery("Please provide a search query (q).");
+      if (q.length > 200) throw invalidQuery("Search query is too long.");
+      const { docs: posts, pagination } = await paginate(
+        BlogPost,
+        { $text: { $search: q }, ...BlogPost.publicFilter() },
+        {
+          ...parsePagination(req.query),
+          sort: { score: { $meta: "textScore" }, publishAt: -1 },
+        },
+        (query) =>
+          query
+            .select(BlogPost.LISTING_FIELDS)
+            .select({ score: { $meta: "textScore" } })
+      );
+      res.json({ q, posts, pagination });
+    } catch (err) {
+      handleBlogError(res, err, "blog post search");
+    }
+  });
+
+  // GET /followerApi/blogPosts/tags/:tag - Published blog posts with a tag
+  // Query: page, limit
+  router.get("/blogPosts/tags/:tag", async (req, res) => {
+    try {
+      const result = await findPublicPosts(req.query, { tag: req.params.tag });
+      res.json({ tag: req.params.tag.toLowerCase(), ...result });
+    } catch (err) {
+      handleBlogError(res, err, "blog post lookup by tag");
+    }
+  });
+
+  // GET /followerApi/blogPosts/categories/:category - Published blog posts in a category
+  // Query: page, limit
+  router.get("/blogPosts/categories/:category", async (req, res) => {
+    try {
+      const result = await findPublicPosts(req.query, {
+        category: req.params.category,
+      });
+      res.json({ category: req.params.category, ...result });
+    } catch (err) {
+      handleBlogError(res, err, "blog post lookup by category");
+    }
+  });
+
+  // GET /followerApi/blogTags - Tags of published posts with post counts
+  router.get("/blogTags", async (req, res) => {
+    try {
+      res.json({ tags: await countPublicValues("tags") });
+    } catch (err) {
+      handleBlogError(res, err, "blog tag listing");
+    }
+  });
+
+  // GET /followerApi/blogCategories - Categories of published posts with post counts
+  router.get("/blogCategories", async (req, res) => {
+    try {
+      res.json({ categories: await countPublicValues("categories") });
+    } catch (err) {
+      handleBlogError(res, err, "blog category listing");
+    }
+  });
+
+  // GET /followerApi/allBlogPosts - Get blog posts in every status (Admin only)
+  // Query: page, limit, sort (publishAt, createdAt, updatedAt, title), status, tag, category,
+  // from/to (publish date)
+  router.get("/allBlogPosts", adminOnly, async (req, res) => {
+    try {
+      const { filter, sort } = buildBlogPostQuery(req.query);
+      const { docs: posts, pagination } = await paginate(
+        BlogPost,
+        filter,
+        { ...parsePagination(req.query), sort },
+        (query) => query.select("-content -contentHtml")
+      );
+      res.json({ posts, pagination });
+    } catch (err) {
+      handleBlogError(res, err, "blog post listing");
+    }
+  });
+
+  // GET /followerApi/blogPosts/slug/:slug - Get a single blog post by its URL slug
+  // Query: format (markdown|html). Admins can also fetch drafts and scheduled posts.
+  router.get(
+    "/blogPosts/slug/:slug",
+    optionalAuthenticate,
+    async (req, res) => {
+      try {
+        const post = await BlogPost.findOne({
+          slug: req.params.slug.toLowerCase(),
+        });
+        if (!post || (!post.isPublic() && !isAdmin(req))) {
+          return res.status(404).json({ msg: "Blog post not found." });
+        }
+        res.json({ post: formatPost(post, req.query.format) });
+      } catch (err) {
+        handleBlogError(res, err, "blog post lookup");
+      }
+    }
+  );
+
+  // POST /followerApi/blogPosts - Create a new blog post (Admin only)
+  // content is Markdown; the sanitized HTML is rendered on save. status: "published" (default), "draft" or "scheduled" (with a future publishAt)
+  router.post(
+    "/blogPosts",
+    adminOnly,
+    allowFields("BlogPost"),
+    async (req, res) => {
+      try {
+        const { title, content, author } = req.body;
+
+        if (!title || !content) {
+          return res
+            .status(400)
+            .json({ msg: "Title and content are required for a blog post." });
+        }
+
+        const newPost = await BlogPost.create({
+          ...req.body,
+          author: author || "Admin", // Default author if not provided
+        });
+        await recordAudit(req, {
+          action: "blogPost.create",
+          entityType: "BlogPost",
+          entityId: newPost._id,
+          after: newPost,
+        });
+        res
+          .status(201)
+          .json({ msg: "Blog post created successfully", post: newPost });
+      } catch (err) {
+        handleBlogError(res, err, "blog post creation");
+      }
+    }
+  );
+
+  // GET /followerApi/blogPosts/:id - Get a single blog post by ID
+  // Query: format (markdown|html). Admins can also fetch drafts and scheduled posts.
+  router.get("/blogPosts/:id", optionalAuthenticate, async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ msg: "Invalid blog post ID format." });
+      }
+      const post = await BlogPost.findById(id);
+      if (!post || (!post.isPublic() && !isAdmin(req))) {
+        return res.status(404).json({ msg: "Blog post not found." });
+      }
+      res.json({ post: formatPost(post, req.query.format) });
+    } catch (err) {
+      if (err.name === "InvalidQueryError") {
+        return res.status(400).json({ msg: err.message });
+      }
+      console.error("Error fetching single blog post:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error fetching blog post.", error: err.message });
+    }
+  });
+
+  // GET /followerApi/blogPosts/:id/related - Published posts sharing the most tags with a post
+  // Query: limit (default 3, max 10)
+  router.get("/blogPosts/:id/related", async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ msg: "Invalid blog post ID format." });
+      }
+      const limit = Math.min(Math.max(Number(req.query.limit) || 3, 1), 10);
+      const post = await BlogPost.findById(id).select("tags status publishAt");
+      if (!post || !post.isPublic()) {
+        return res.status(404).json({ msg: "Blog post not found." });
+      }
+      if (post.tags.length === 0) return res.json({ posts: [] });
+
+      const projection = Object.fromEntries(
+        BlogPost.LISTING_FIELDS.split(" ").map((field) => [field, 1])
+      );
+      const posts = await BlogPost.aggregate([
+        {
+          $match: {
+            ...BlogPost.publicFilter(),
+            _id: { $ne: post._id },
+            tags: { $in: post.tags },
+          },
+        },
+        {
+          $addFields: {
+            sharedTags: { $size: { $setIntersection: ["$tags", post.tags] } },
+          },
+        },
+        { $sort: { sharedTags: -1, publishAt: -1, _id: -1 } },
+        { $limit: limit },
+        { $project: { ...projection, sharedTags: 1 } },
+      ]);
+      res.json({ posts });
+    } catch (err) {
+      handleBlogError(res, err, "related blog post lookup");
+    }
+  });
+
+  // PATCH /followerApi/blogPosts/:id - Update a blog post (Admin only)
+  // Send status "draft" to unpublish, or "scheduled" with a future publishAt.
+  router.patch(
+    "/blogPosts/:id",
+    adminOnly,
+    allowFields("BlogPost"),
+    async (req, res) => {
+      const { id } = req.params;
+      try {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return res.status(400).json({ msg: "Invalid blog post ID format." });
+        }
+        const post = await BlogPost.findById(id);
+        if (!post) {
+          return res.status(404).json({ msg: "Blog post not found." });
+        }
+        // Load-modify-save so the slug and publishing rules in the model run
+        const postBefore = snapshot(post);
+        post.set(req.body);
+        const updatedPost = await post.save();
+        await recordAudit(req, {
+          action: "blogPost.update",
+          entityType: "BlogPost",
+          entityId: updatedPost._id,
+          before: postBefore,
+          after: updatedPost,
+        });
+        res.json({ msg: "Blog post updated successfully", post: updatedPost });
+      } catch (err) {
+        handleBlogError(res, err, "blog post update");
+      }
+    }
+  );
+
+  // DELETE /followerApi/blogPosts/:id - Delete a blog post (Admin only)
+  // The post is soft deleted and can be restored; see routes/archive.js for purging.
+  router.delete("/blogPosts/:id", adminOnly, async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ msg: "Invalid blog post ID format." });
+      }
+      const post = await BlogPost.findById(id);
+      if (!post) {
+        return res.status(404).json({ msg: "Blog post not found." });
+      }
+      const postBefore = snapshot(post);
+      await post.softDelete(req.user._id);
+      await recordAudit(req, {
+        action: "blogPost.delete",
+        entityType: "BlogPost",
+        entityId: post._id,
+        before: postBefore,
+        after: post,
+      });
+      res.json({ msg: "Blog post deleted successfully." });
+    } catch (err) {
+      console.error("Error deleting blog post:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error deleting blog post.", error: err.message });
+    }
+  });
+
+  return router;
+};
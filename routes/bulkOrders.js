@@ -0,0 +1,217 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Order = require("../models/order");
+const { adminOnly } = require("../middleware/auth");
+const { createSendTemplatedEmail } = require("../utils/mailer");
+const { orderEmailData, bulkOrderEmailData } = require("../utils/emailData");
+const { snapshot, recordAudit } = require("../utils/audit");
+
+const BULK_ORDER_LIMIT = 100; // Maximum number of orders per bulk request
+const BULK_ACTIONS = ["status", "cancel", "delete"];
+
+// Bulk order operations for the admin panel. Like routes/auth.js, this module exports a
+// function that accepts the Nodemailer 'transporter' object so notifications can be sent.
+module.exports = (transporter) => {
+  const router = express.Router();
+  const sendTemplatedEmail = createSendTemplatedEmail(transporter);
+
+  // One email per client (a summary when several of their orders changed) and a single
+  // summary for the admin, instead of two emails per order.
+  const notifyBulkChanges = async ({
+    action,
+    actionLabel,
+    changes,
+    failures,
+  }) => {
+    if (action !== "delete") {
+      const changesByClient = new Map();
+      changes.forEach((change) => {
+        const list = changesByClient.get(change.order.email) || [];
+        list.push(change);
+        changesByClient.set(change.order.email, list);
+      });
+      for (const [email, clientChanges] of changesByClient) {
+        const result =
+          clientChanges.length === 1
+            ? await sendTemplatedEmail(
+                email,
+                "order-status-client",
+                orderEmailData(clientChanges[0].order)
+              )
+            : await sendTemplatedEmail(
+                email,
+                "order-bulk-client",
+                bulkOrderEmailData({ actionLabel, changes: clientChanges })
+              );
+        if (!result.success) {
+          console.error(
+            "Failed to send bulk order update email to client:",
+            email,
+            result.error
+          );
+        }
+      }
+    }
+
+    if (process.env.ADMIN_RECEIVING_EMAIL) {
+      const adminEmailResult = await sendTemplatedEmail(
+        process.env.ADMIN_RECEIVING_EMAIL,
+        "order-bulk-admin",
+        bulkOrderEmailData({ actionLabel, changes, failures })
+      );
+      if (!adminEmailResult.success) {
+        console.error(
+          "Failed to send bulk order summary email to admin:",
+          process.env.ADMIN_RECEIVING_EMAIL,
+          adminEmailResult.error
+        );
+      }
+    }
+  };
+
+  // ============================= // Bulk Order Routes // =============================
+
+  // POST /followerApi/bulkOrders - Change the status of, cancel or delete several orders (Admin only)
+  // Body: { action: "status" | "cancel" | "delete", ids: [...], status?, note?, notify?,
+  // overrideBalance? } - orders that are not fully paid are only started with overrideBalance: true
+  // Deleted orders are soft deleted, like DELETE /deleteOrder/:id.
+  // Each order is processed on its own; the response lists the result for every ID.
+  router.post("/bulkOrders", adminOnly, async (req, res) => {
+    const {
+      action,
+      ids,
+      status,
+      note,
+      notify = true,
+      overrideBalance = false,
+    } = req.body;
+    try {
+      if (!BULK_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          msg: `Invalid action. Allowed: ${BULK_ACTIONS.join(", ")}.`,
+        });
+      }
+      if (!Array.isArray(ids) || ids.length === 0) {
+        return res
+          .status(400)
+          .json({ msg: "ids must be a non-empty array of order IDs." });
+      }
+      if (ids.length > BULK_ORDER_LIMIT) {
+        return res.status(400).json({
+          msg: `At most ${BULK_ORDER_LIMIT} orders can be processed at once.`,
+        });
+      }
+      if (action === "status" && !Order.ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({
+          msg: "A valid status is required.",
+          allowedStatuses: Order.ORDER_STATUSES,
+        });
+      }
+      const targetStatus = action === "cancel" ? "Cancelled" : status;
+      const actionLabel =
+        action === "delete"
+          ? "deleted"
+          : action === "cancel"
+          ? "cancelled"
+          : `updated to ${targetStatus}`;
+
+      const uniqueIds = [...new Set(ids.map(String))];
+      const validIds = uniqueIds.filter((id) =>
+        mongoose.Types.ObjectId.isValid(id)
+      );
+      const orders = await Order.find({ _id: { $in: validIds } });
+      const ordersById = new Map(
+        orders.map((order) => [order._id.toString(), order])
+      );
+
+      const results = [];
+      const changes = []; // { order, previousStatus }
+      const failures = []; // { id, error }
+      const fail = (id, error) => {
+        results.push({ id, success: false, error });
+        failures.push({ id, error });
+      };
+
+      for (const id of uniqueIds) {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          fail(id, "Invalid order ID format.");
+          continue;
+        }
+        const order = ordersById.get(id);
+        if (!order) {
+          fail(id, "Order not found.");
+          continue;
+        }
+        const previousStatus = order.status;
+        const orderBefore = snapshot(order);
+        const audit = (auditAction) =>
+          recordAudit(req, {
+            action: auditAction,
+            entityType: "Order",
+            entityId: order._id,
+            before: orderBefore,
+            after: order,
+          });
+        try {
+          if (action === "delete") {
+            await order.softDelete(req.user._id);
+            await audit("order.delete");
+            changes.push({ order, previousStatus });
+            results.push({ id, success: true });
+            continue;
+          }
+          if (order.status === targetStatus) {
+            results.push({
+              id,
+              success: true,
+              status: order.status,
+              unchanged: true,
+            });
+            continue;
+          }
+          if (!order.canTransitionTo(targetStatus)) {
+            fail(
+              id,
+              `Order status cannot change from '${order.status}' to '${targetStatus}'.`
+            );
+            continue;
+          }
+          const balanceBlock = order.getBalanceBlockReason(targetStatus, {
+            overrideBalance,
+          });
+          if (balanceBlock) {
+            fail(id, balanceBlock);
+            continue;
+          }
+          order.transitionTo(targetStatus, { actor: req.user._id, note });
+          await order.save();
+          await audit("order.update");
+          changes.push({ order, previousStatus });
+          results.push({ id, success: true, status: order.status });
+        } catch (err) {
+          console.error(`Bulk order ${action} failed for ${id}:`, err);
+          fail(id, err.message);
+        }
+      }
+
+      if (notify !== false && changes.length > 0) {
+        await notifyBulkChanges({ action, actionLabel, changes, failures });
+      }
+
+      const succeeded = results.filter((result) => result.success).length;
+      res.json({
+        msg: `${succeeded} of ${uniqueIds.length} orders processed successfully.`,
+        succeeded,
+        failed: failures.length,
+        results,
+      });
+    } catch (err) {
+      console.error("Bulk Order Error:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error processing orders", error: err.message });
+    }
+  });
+
+  return router;
+};
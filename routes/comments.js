@@ -0,0 +1,310 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const BlogPost = require("../models/BlogPost");
+const Comment = require("../models/Comment");
+const { adminOnly, optionalAuthenticate } = require("../middleware/auth");
+const { allowFields } = require("../middleware/fieldPolicy");
+const { snapshot, recordAudit } = require("../utils/audit");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { buildCommentQuery } = require("../utils/listFilters");
+const {
+  getSpamReason,
+  recordAnonymousComment,
+  nestReplies,
+} = require("../utils/comments");
+
+// Statuses an admin can give a comment from the moderation queue
+const MODERATION_STATUSES = ["approved", "rejected", "spam"];
+// Comments per bulk moderation request
+const MAX_BULK_MODERATION = 100;
+
+// Blog comments. Anyone can comment on a public post (signed in or with a name and email);
+// new comments wait in the moderation queue and only approved ones are shown.
+module.exports = () => {
+  const router = express.Router();
+
+  const handleCommentError = (res, err, action) => {
+    if (err.name === "InvalidQueryError") {
+      return res.status(400).json({ msg: err.message });
+    }
+    if (err.name === "ValidationError") {
+      const errors = Object.keys(err.errors).map(
+        (key) => err.errors[key].message
+      );
+      return res
+        .status(400)
+        .json({ msg: `Validation failed for ${action}.`, errors });
+    }
+    console.error(`Error during ${action}:`, err);
+    res
+      .status(500)
+      .json({ msg: `Server error during ${action}.`, error: err.message });
+  };
+
+  // Gives a comment a moderation status and records who did it. Returns the saved comment.
+  const moderateComment = async (req, comment, status, moderationNote) => {
+    const commentBefore = snapshot(comment);
+    comment.status = status;
+    comment.moderatedBy = req.user._id;
+    comment.moderatedAt = new Date();
+    if (moderationNote !== undefined) comment.moderationNote = moderationNote;
+    const updatedComment = await comment.save();
+    await recordAudit(req, {
+      action: "comment.moderate",
+      entityType: "Comment",
+      entityId: updatedComment._id,
+      before: commentBefore,
+      after: updatedComment,
+    });
+    return updatedComment;
+  };
+
+  // ============================= // Comment Routes // =============================
+
+  // GET /followerApi/blogPosts/:id/comments - Approved comments of a published post
+  // Paginates the top-level comments (oldest first); each one carries its approved replies
+  // in `replies`. Query: page, limit
+  router.get("/blogPosts/:id/comments", async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ msg: "Invalid blog post ID format." });
+      }
+      const post = await BlogPost.findById(id).select("status publishAt");
+      if (!post || !post.isPublic()) {
+        return res.status(404).json({ msg: "Blog post not found." });
+      }
+      const { docs: roots, pagination } = await paginate(
+        Comment,
+        { post: post._id, parent: null, status: "approved" },
+        { ...parsePagination(req.query), sort: { createdAt: 1, _id: 1 } },
+        (query) => query.select(Comment.PUBLIC_FIELDS).lean()
+      );
+      const replies = await Comment.find({
+        root: { $in: roots.map((root) => root._id) },
+        status: "approved",
+      })
+        .select(Comment.PUBLIC_FIELDS)
+        .lean();
+      res.json({ comments: nestReplies(roots, replies), pagination });
+    } catch (err) {
+      handleCommentError(res, err, "comment listing");
+    }
+  });
+
+  // POST /followerApi/blogPosts/:id/comments - Comment on a published post
+  // Expects { content, parentId? } plus { authorName, authorEmail } when not signed in.
+  // Comments wait for moderation (admins' own comments are approved right away). Anonymous
+  // commenters are rate limited per IP, and comments with many links go to the spam queue.
+  router.post(
+    "/blogPosts/:id/comments",
+    optionalAuthenticate,
+    allowFields("Comment"),
+    async (req, res) => {
+      const { id } = req.params;
+      const { content, parentId, authorName, authorEmail } = req.body;
+      try {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return res.status(400).json({ msg: "Invalid blog post ID format." });
+        }
+        const post = await BlogPost.findById(id).select("status publishAt");
+        if (!post || !post.isPublic()) {
+          return res.status(404).json({ msg: "Blog post not found." });
+        }
+
+        if (!req.user) {
+          const limitedUntil = await recordAnonymousComment(req.ip);
+          if (limitedUntil) {
+            res.set(
+              "Retry-After",
+              Math.ceil((limitedUntil - Date.now()) / 1000).toString()
+            );
+            return res.status(429).json({
+              msg: "You are commenting too often. Please try again later.",
+              retryAfter: limitedUntil,
+            });
+          }
+        }
+
+        // Replies go under an approved comment of the same post
+        let parent = null;
+        if (parentId) {
+          if (!mongoose.Types.ObjectId.isValid(parentId)) {
+            return res.status(400).json({ msg: "Invalid comment ID format." });
+          }
+          parent = await Comment.findOne({
+            _id: parentId,
+            post: post._id,
+            status: "approved",
+          });
+          if (!parent) {
+            return res
+              .status(404)
+              .json({ msg: "Comment to reply to not found." });
+          }
+        }
+
+        const spamReason = req.user
+          ? null
+          : getSpamReason({ authorName, content });
+        let status = "pending";
+        if (spamReason) status = "spam";
+        else if (req.user && req.user.role === "admin") status = "approved";
+
+        const comment = await Comment.create({
+          post: post._id,
+          parent: parent ? parent._id : null,
+          root: parent ? parent.root || parent._id : null,
+          depth: parent ? parent.depth + 1 : 0,
+          user: req.user ? req.user._id : null,
+          authorName: req.user ? req.user.name : authorName,
+          authorEmail: req.user ? req.user.email : authorEmail,
+          content,
+          status,
+          spamReason,
+          ipAddress: req.ip || "",
+          userAgent: req.headers["user-agent"] || "",
+        });
+        // Spam stays out of the audit log (it would copy the spammer's email and IP there)
+        if (comment.status !== "spam") {
+          await recordAudit(req, {
+            action: "comment.create",
+            entityType: "Comment",
+            entityId: comment._id,
+            after: comment,
+          });
+        }
+
+        // Spam is reported like any held comment, so spammers can't tell it was caught
+        const approved = comment.status === "approved";
+        res.status(201).json({
+          msg: approved
+            ? "Comment posted successfully."
+            : "Comment submitted and awaiting moderation.",
+          comment: {
+            _id: comment._id,
+            post: comment.post,
+            parent: comment.parent,
+            authorName: comment.authorName,
+            content: comment.content,
+            status: approved ? "approved" : "pending",
+            createdAt: comment.createdAt,
+          },
+        });
+      } catch (err) {
+        handleCommentError(res, err, "comment submission");
+      }
+    }
+  );
+
+  // GET /followerApi/comments/moderation - Moderation queue (Admin only)
+  // Query: page, limit, status (default pending; empty for all), postId, userId, ip,
+  // from/to (comment date), sort (createdAt, default oldest first). Includes the number of
+  // comments in each status.
+  router.get("/comments/moderation", adminOnly, async (req, res) => {
+    try {
+      const { filter, sort } = buildCommentQuery({
+        status: "pending",
+        ...req.query,
+      });
+      const [{ docs: comments, pagination }, statusCounts] = await Promise.all([
+        paginate(
+          Comment,
+          filter,
+          { ...parsePagination(req.query), sort },
+          (query) =>
+            query
+              .populate("post", "title slug")
+              .populate("parent", "authorName content")
+        ),
+        Comment.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+      ]);
+      const counts = Object.fromEntries(
+        Comment.COMMENT_STATUSES.map((status) => [status, 0])
+      );
+      statusCounts.forEach(({ _id, count }) => {
+        counts[_id] = count;
+      });
+      res.json({ comments, counts, pagination });
+    } catch (err) {
+      handleCommentError(res, err, "moderation queue listing");
+    }
+  });
+
+  // PATCH /followerApi/comments/:id/moderate - Approve, reject or mark a comment as spam (Admin only)
+  // Expects { status: "approved" | "rejected" | "spam", moderationNote? }
+  router.patch(
+    "/comments/:id/moderate",
+    adminOnly,
+    allowFields("Comment"),
+    async (req, res) => {
+      const { id } = req.params;
+      const { status, moderationNote } = req.body;
+      try {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return res.status(400).json({ msg: "Invalid comment ID format." });
+        }
+        if (!MODERATION_STATUSES.includes(status)) {
+          return res.status(400).json({
+            msg: `Invalid status. Allowed: ${MODERATION_STATUSES.join(", ")}.`,
+          });
+        }
+        const comment = await Comment.findById(id);
+        if (!comment) {
+          return res.status(404).json({ msg: "Comment not found." });
+        }
+        const updatedComment = await moderateComment(
+          req,
+          comment,
+          status,
+          moderationNote
+        );
+        res.json({
+          msg: `Comment ${status} successfully.`,
+          comment: updatedComment,
+        });
+      } catch (err) {
+        handleCommentError(res, err, "comment moderation");
+      }
+    }
+  );
+
+  // POST /followerApi/comments/moderate - Moderate several comments at once (Admin only)
+  // Expects { ids: [...], status: "approved" | "rejected" | "spam", moderationNote? }
+  router.post("/comments/moderate", adminOnly, async (req, res) => {
+    const { ids, status, moderationNote } = req.body;
+    try {
+      if (
+        !Array.isArray(ids) ||
+        ids.length === 0 ||
+        ids.length > MAX_BULK_MODERATION
+      ) {
+        return res.status(400).json({
+          msg: `Please provide between 1 and ${MAX_BULK_MODERATION} comment IDs.`,
+        });
+      }
+      if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ msg: "Invalid comment ID format." });
+      }
+      if (!MODERATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          msg: `Invalid status. Allowed: ${MODERATION_STATUSES.join(", ")}.`,
+        });
+      }
+      const comments = await Comment.find({ _id: { $in: ids } });
+      for (const comment of comments) {
+        await moderateComment(req, comment, status, moderationNote);
+      }
+      const found = new Set(comments.map((comment) => String(comment._id)));
+      res.json({
+        msg: `${comments.length} comment(s) ${status} successfully.`,
+        count: comments.length,
+        notFound: ids.filter((id) => !found.has(String(id))),
+      });
+    } catch (err) {
+      handleCommentError(res, err, "bulk comment moderation");
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,331 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const Order = require("../models/order");
+const ServiceCatalog = require("../models/ServiceCatalog");
+const { adminOnly } = require("../middleware/auth");
+const { allowFields } = require("../middleware/fieldPolicy");
+const { snapshot, recordAudit } = require("../utils/audit");
+const { checkCoupon } = require("../utils/coupons");
+const {
+  parsePagination,
+  paginate,
+  parseDateRange,
+} = require("../utils/pagination");
+const { buildCouponQuery } = require("../utils/listFilters");
+
+// Coupon routes: admin management and usage reports, plus a public check of a code before
+// an order is placed. Coupons are applied by /createOrder (see utils/coupons.js).
+module.exports = () => {
+  const router = express.Router();
+
+  const handleCouponError = (res, err, action) => {
+    if (err.name === "InvalidQueryError") {
+      return res.status(400).json({ msg: err.message });
+    }
+    if (err.name === "ValidationError") {
+      const errors = Object.keys(err.errors).map(
+        (key) => err.errors[key].message
+      );
+      return res
+        .status(400)
+        .json({ msg: `Validation failed for ${action}.`, errors });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({
+        msg: "A coupon with this code already exists.",
+        error: err.message,
+      });
+    }
+    console.error(`Error during ${action}:`, err);
+    res
+      .status(500)
+      .json({ msg: `Server error during ${action}`, error: err.message });
+  };
+
+  // ============================= // Coupon Routes // =============================
+
+  // POST /followerApi/coupons/check - Preview the discount a code gives for an order
+  // Body: { code, platform, service, requiredFollowers, email }
+  router.post("/coupons/check", async (req, res) => {
+    try {
+      const { code, platform, service, requiredFollowers, email } = req.body;
+      if (!code || !platform || !service || requiredFollowers === undefined) {
+        return res.status(400).json({
+          msg: "Please provide all required fields: code, platform, service, requiredFollowers.",
+        });
+      }
+      const quantity = Number(requiredFollowers);
+      if (isNaN(quantity) || !Number.isInteger(quantity)) {
+        return res
+          .status(400)
+          .json({ msg: "Required Followers must be a valid whole number." });
+      }
+      const catalogEntry = await ServiceCatalog.findOne({
+        platform,
+        service,
+        isActive: true,
+      });
+      if (!catalogEntry) {
+        return res.status(400).json({
+          msg: `${service} is not currently available for ${platform}.`,
+        });
+      }
+      const subtotal = catalogEntry.computePrice(quantity);
+      const { coupon, discount } = await checkCoupon(code, {
+        platform,
+        service,
+        price: subtotal,
+        email,
+      });
+      res.json({
+        code: coupon.code,
+        description: coupon.description,
+        subtotal,
+        discount,
+        price: subtotal - discount,
+      });
+    } catch (err) {
+      if (err.name === "InvalidCouponError") {
+        return res.status(400).json({ msg: err.message });
+      }
+      handleCouponError(res, err, "coupon check");
+    }
+  });
+
+  // GET /followerApi/coupons - List coupons (Admin only)
+  // Query: page, limit, sort (createdAt, code, usedCount, expiresAt), isActive, discountType,
+  // platform, service, code (prefix)
+  router.get("/coupons", adminOnly, async (req, res) => {
+    try {
+      const { filter, sort } = buildCouponQuery(req.query);
+      const { docs: coupons, pagination } = await paginate(Coupon, filter, {
+        ...parsePagination(req.query),
+        sort,
+      });
+      res.json({ coupons, pagination });
+    } catch (err) {
+      handleCouponError(res, err, "coupon listing");
+    }
+  });
+
+  // GET /followerApi/coupons/report - Orders, discounts and revenue per coupon (Admin only)
+  // ?from=YYYY-MM-DD&to=YYYY-MM-DD limits the period by order date
+  router.get("/coupons/report", adminOnly, async (req, res) => {
+    try {
+      const range = parseDateRange(req.query.from, req.query.to, "report");
+      const coupons = await Order.aggregate([
+        {
+          $match: {
+            coupon: { $ne: null },
+            ...(range ? { createdAt: range } : {}),
+          },
+        },
+        {
+          $group: {
+            _id: "$coupon.couponId",
+            code: { $last: "$coupon.code" },
+            orders: { $sum: 1 },
+            customers: { $addToSet: "$email" },
+            subtotal: { $sum: "$coupon.subtotal" },
+            discount: { $sum: "$coupon.discount" },
+            revenue: { $sum: "$price" },
+            amountPaid: { $sum: "$amountPaid" },
+            paidOrders: {
+              $sum: {
+                $cond: [
+                  { $in: ["$paymentStatus", ["Paid", "Overpaid"]] },
+                  1,
+                  0,
+                ],
+              },
+            },
+            cancelledOrders: {
+              $sum: {
+                $cond: [
+                  { $in: ["$status", ["Cancelled", "Refunded", "Failed"]] },
+                  1,
+                  0,
+                ],
+              },
+            },
+          },
+        },
+        {
+          $lookup: {
+            from: "coupons",
+            localField: "_id",
+            foreignField: "_id",
+            as: "coupon",
+          },
+        },
+        { $unwind: { path: "$coupon", preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            couponId: "$_id",
+            code: 1,
+            orders: 1,
+            customers: { $size: "$customers" },
+            subtotal: 1,
+            discount: 1,
+            revenue: 1,
+            amountPaid: 1,
+            paidOrders: 1,
+            cancelledOrders: 1,
+            usedCount: "$coupon.usedCount",
+            usageLimit: "$coupon.usageLimit",
+            isActive: "$coupon.isActive",
+            expiresAt: "$coupon.expiresAt",
+          },
+        },
+        { $sort: { orders: -1, code: 1 } },
+      ]);
+      const totals = coupons.reduce(
+        (sum, entry) => ({
+          orders: sum.orders + entry.orders,
+          discount: sum.discount + entry.discount,
+          revenue: sum.revenue + entry.revenue,
+        }),
+        { orders: 0, discount: 0, revenue: 0 }
+      );
+      res.json({ coupons, totals });
+    } catch (err) {
+      handleCouponError(res, err, "coupon report");
+    }
+  });
+
+  // POST /followerApi/coupons - Create a coupon (Admin only)
+  router.post(
+    "/coupons",
+    adminOnly,
+    allowFields("Coupon"),
+    async (req, res) => {
+      try {
+        const newCoupon = await Coupon.create(req.body);
+        await recordAudit(req, {
+          action: "coupon.create",
+          entityType: "Coupon",
+          entityId: newCoupon._id,
+          after: newCoupon,
+        });
+        res
+          .status(201)
+          .json({ msg: "Coupon created successfully", coupon: newCoupon });
+      } catch (err) {
+        handleCouponError(res, err, "coupon creation");
+      }
+    }
+  );
+
+  // GET /followerApi/coupons/:id - Get a coupon (Admin only)
+  router.get("/coupons/:id", adminOnly, async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ msg: "Invalid coupon ID format." });
+      }
+      const coupon = await Coupon.findById(id);
+      if (!coupon) {
+        return res.status(404).json({ msg: "Coupon not found." });
+      }
+      res.json({ coupon });
+    } catch (err) {
+      handleCouponError(res, err, "coupon lookup");
+    }
+  });
+
+  // GET /followerApi/coupons/:id/orders - Orders placed with a coupon (Admin only)
+  // Query: page, limit
+  router.get("/coupons/:id/orders", adminOnly, async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ msg: "Invalid coupon ID format." });
+      }
+      const { docs: orders, pagination } = await paginate(
+        Order,
+        { "coupon.couponId": id },
+        { ...parsePagination(req.query), sort: { createdAt: -1, _id: -1 } },
+        (query) =>
+          query.select(
+            "name email platform service price coupon status paymentStatus createdAt"
+          )
+      );
+      res.json({ orders, pagination });
+    } catch (err) {
+      handleCouponError(res, err, "coupon order listing");
+    }
+  });
+
+  // PATCH /followerApi/coupons/:id - Update a coupon (Admin only)
+  router.patch(
+    "/coupons/:id",
+    adminOnly,
+    allowFields("Coupon"),
+    async (req, res) => {
+      const { id } = req.params;
+      try {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return res.status(400).json({ msg: "Invalid coupon ID format." });
+        }
+        const coupon = await Coupon.findById(id);
+        if (!coupon) {
+          return res.status(404).json({ msg: "Coupon not found." });
+        }
+        // Load-modify-save so the cross-field validation sees every value
+        const couponBefore = snapshot(coupon);
+        coupon.set(req.body);
+        const updatedCoupon = await coupon.save();
+        await recordAudit(req, {
+          action: "coupon.update",
+          entityType: "Coupon",
+          entityId: updatedCoupon._id,
+          before: couponBefore,
+          after: updatedCoupon,
+        });
+        res.json({ msg: "Coupon updated successfully", coupon: updatedCoupon });
+      } catch (err) {
+        handleCouponError(res, err, "coupon update");
+      }
+    }
+  );
+
+  // DELETE /followerApi/coupons/:id - Delete an unused coupon (Admin only)
+  // Coupons that were used stay for the reports; deactivate them instead.
+  router.delete("/coupons/:id", adminOnly, async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ msg: "Invalid coupon ID format." });
+      }
+      const coupon = await Coupon.findById(id);
+      if (!coupon) {
+        return res.status(404).json({ msg: "Coupon not found." });
+      }
+      const usedByOrders = await Order.exists({
+        "coupon.couponId": coupon._id,
+      }).setOptions({ withDeleted: true });
+      if (coupon.usedCount > 0 || usedByOrders) {
+        return res.status(409).json({
+          msg: "This coupon has been used. Set isActive to false instead of deleting it.",
+        });
+      }
+      await coupon.deleteOne();
+      // Counters left by orders that were never saved
+      await CouponRedemption.deleteMany({ coupon: coupon._id });
+      await recordAudit(req, {
+        action: "coupon.delete",
+        entityType: "Coupon",
+        entityId: coupon._id,
+        before: coupon,
+      });
+      res.json({ msg: "Coupon deleted successfully" });
+    } catch (err) {
+      handleCouponError(res, err, "coupon deletion");
+    }
+  });
+
+  return router;
+};
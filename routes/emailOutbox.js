@@ -0,0 +1,116 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const EmailOutbox = require("../models/EmailOutbox");
+const { adminOnly } = require("../middleware/auth");
+const { snapshot, recordAudit } = require("../utils/audit");
+
+// Admin view of the outbound email queue (see utils/emailQueue.js).
+module.exports = () => {
+  const router = express.Router();
+
+  // Puts an email back in the queue with a fresh set of attempts
+  const requeue = (email) => {
+    email.status = "Pending";
+    email.attempts = 0;
+    email.nextAttemptAt = new Date();
+    email.lockedAt = null;
+    email.lastError = "";
+    return email.save();
+  };
+
+  // ============================= // Email Outbox Routes // =============================
+
+  // GET /followerApi/emailOutbox - List queued emails, failed ones by default (Admin only)
+  // ?status=Pending|Sending|Sent|Failed&to=client@example.com
+  router.get("/emailOutbox", adminOnly, async (req, res) => {
+    try {
+      const { status = "Failed", to } = req.query;
+      const filter = { status };
+      if (to) filter.to = to;
+      const emails = await EmailOutbox.find(filter)
+        .select("-html -text")
+        .sort({ updatedAt: -1 })
+        .limit(200);
+      res.json({ emails });
+    } catch (err) {
+      console.error("Error fetching email outbox:", err);
+      res.status(500).json({
+        msg: "Server error fetching email outbox",
+        error: err.message,
+      });
+    }
+  });
+
+  // POST /followerApi/emailOutbox/resendFailed - Re-queue every failed email (Admin only)
+  router.post("/emailOutbox/resendFailed", adminOnly, async (req, res) => {
+    try {
+      const result = await EmailOutbox.updateMany(
+        { status: "Failed" },
+        {
+          $set: {
+            status: "Pending",
+            attempts: 0,
+            nextAttemptAt: new Date(),
+            lockedAt: null,
+            lastError: "",
+          },
+        }
+      );
+      await recordAudit(req, {
+        action: "email.resendFailed",
+        entityType: "EmailOutbox",
+        after: { count: result.modifiedCount },
+      });
+      res.json({
+        msg: "Failed emails re-queued successfully.",
+        count: result.modifiedCount,
+      });
+    } catch (err) {
+      console.error("Error re-queueing failed emails:", err);
+      res.status(500).json({
+        msg: "Server error re-queueing failed emails",
+        error: err.message,
+      });
+    }
+  });
+
+  // POST /followerApi/emailOutbox/:id/resend - Re-queue a single failed email (Admin only)
+  router.post("/emailOutbox/:id/resend", adminOnly, async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ msg: "Invalid email ID format." });
+      }
+      const email = await EmailOutbox.findById(id);
+      if (!email) {
+        return res.status(404).json({ msg: "Email not found." });
+      }
+      if (email.status !== "Failed") {
+        return res.status(400).json({
+          msg: `Only failed emails can be re-sent (status: ${email.status}).`,
+        });
+      }
+      const emailBefore = snapshot(email);
+      await requeue(email);
+      await recordAudit(req, {
+        action: "email.resend",
+        entityType: "EmailOutbox",
+        entityId: email._id,
+        before: emailBefore,
+        after: email,
+      });
+      // Same fields as the listing: the body stays out of API responses
+      const emailSummary = email.toObject();
+      delete emailSummary.html;
+      delete emailSummary.text;
+      res.json({ msg: "Email re-queued successfully.", email: emailSummary });
+    } catch (err) {
+      console.error("Error re-queueing email:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error re-queueing email", error: err.message });
+    }
+  });
+
+  return router;
+};
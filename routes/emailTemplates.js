@@ -0,0 +1,52 @@
+const express = require("express");
+const { adminOnly } = require("../middleware/auth");
+const { renderEmail, listTemplates } = require("../utils/emailTemplates");
+const { sampleDataFor } = require("../utils/emailData");
+
+// Admin tools for the email templates in templates/emails (or EMAIL_TEMPLATES_DIR).
+module.exports = () => {
+  const router = express.Router();
+
+  // ============================= // Email Template Routes // =============================
+
+  // GET /followerApi/emailTemplates - List available email templates (Admin only)
+  router.get("/emailTemplates", adminOnly, (req, res) => {
+    try {
+      res.json({ templates: listTemplates() });
+    } catch (err) {
+      console.error("Error listing email templates:", err);
+      res.status(500).json({
+        msg: "Server error listing email templates",
+        error: err.message,
+      });
+    }
+  });
+
+  // GET /followerApi/emailTemplates/:name/preview - Render a template with sample data (Admin only)
+  // ?format=html or ?format=text returns the rendered body directly for viewing in a browser.
+  router.get("/emailTemplates/:name/preview", adminOnly, (req, res) => {
+    const { name } = req.params;
+    const { format } = req.query;
+    if (!listTemplates().includes(name)) {
+      return res.status(404).json({ msg: "Email template not found." });
+    }
+    try {
+      const rendered = renderEmail(name, sampleDataFor(name));
+      if (format === "html") {
+        return res.type("html").send(rendered.html);
+      }
+      if (format === "text") {
+        return res.type("text").send(rendered.text);
+      }
+      res.json({ template: name, ...rendered });
+    } catch (err) {
+      console.error("Error rendering email template preview:", err);
+      res.status(500).json({
+        msg: "Server error rendering email template",
+        error: err.message,
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,78 @@
+const express = require("express");
+const Order = require("../models/order");
+const Payment = require("../models/Payment");
+const Refund = require("../models/Refund");
+const { adminOnly } = require("../middleware/auth");
+const { parseEnum } = require("../utils/pagination");
+const {
+  buildOrderQuery,
+  buildPaymentQuery,
+  buildRefundQuery,
+} = require("../utils/listFilters");
+const {
+  EXPORT_COLUMNS,
+  parseColumns,
+  streamExport,
+} = require("../utils/exporter");
+
+// CSV/XLSX exports for accounting. They accept the same filters and sort as the
+// matching admin listings, plus ?format=csv|xlsx and ?columns=id,price,...
+module.exports = () => {
+  const router = express.Router();
+
+  // Builds an export route for a collection; `buildQuery` comes from utils/listFilters.js
+  const exportRoute = (Model, name, buildQuery) => async (req, res) => {
+    let cursor;
+    try {
+      const format = parseEnum(
+        req.query.format || "csv",
+        ["csv", "xlsx"],
+        "format"
+      );
+      const columns = parseColumns(req.query.columns, EXPORT_COLUMNS[name]);
+      const { filter, sort } = buildQuery(req.query);
+
+      cursor = Model.find(filter).sort(sort).lean().cursor();
+      await streamExport(res, cursor, { format, columns, name });
+    } catch (err) {
+      if (cursor) cursor.close().catch(() => {});
+      if (err.name === "InvalidQueryError") {
+        return res.status(400).json({ msg: err.message });
+      }
+      console.error(`Error exporting ${name}:`, err);
+      // Once the download has started, the only way to signal failure is to cut it off
+      if (res.headersSent) return res.destroy(err);
+      res
+        .status(500)
+        .json({ msg: `Server error exporting ${name}`, error: err.message });
+    }
+  };
+
+  // ============================= // Export Routes // =============================
+
+  // GET /followerApi/export/orders - Download orders as CSV or XLSX (Admin only)
+  // Filters as /allOrders: status, platform, service, email, from/to, minPrice/maxPrice, sort
+  router.get(
+    "/export/orders",
+    adminOnly,
+    exportRoute(Order, "orders", buildOrderQuery)
+  );
+
+  // GET /followerApi/export/payments - Download payments as CSV or XLSX (Admin only)
+  // Filters as /allPayments: status, method, from/to, sort
+  router.get(
+    "/export/payments",
+    adminOnly,
+    exportRoute(Payment, "payments", buildPaymentQuery)
+  );
+
+  // GET /followerApi/export/refunds - Download refunds as CSV or XLSX (Admin only)
+  // Filters as /allRefunds: status, orderId, userId, email, from/to, sort
+  router.get(
+    "/export/refunds",
+    adminOnly,
+    exportRoute(Refund, "refunds", buildRefundQuery)
+  );
+
+  return router;
+};
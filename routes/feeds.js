@@ -0,0 +1,170 @@
+const express = require("express");
+const BlogPost = require("../models/BlogPost");
+const ServiceCatalog = require("../models/ServiceCatalog");
+const { buildRss, buildAtom, buildSitemap } = require("../utils/feeds");
+
+// How long clients and proxies may cache the feeds and the sitemap
+const FEED_CACHE_SECONDS = Number(process.env.FEED_CACHE_SECONDS || 900);
+// Number of posts in the RSS/Atom feeds
+const FEED_LIMIT = Number(process.env.FEED_LIMIT || 20);
+// Client pages for a blog post (<path>/<slug>) and a service (<path>/<platform>/<service>)
+const BLOG_POST_PATH = process.env.BLOG_POST_PATH || "/blog";
+const SERVICE_PAGE_PATH = process.env.SERVICE_PAGE_PATH || "/services";
+
+// Machine-readable blog feeds and the sitemap. Mounted at the site root (not /followerApi)
+// so they live at the URLs crawlers and feed readers expect.
+// Links are built from CLIENT_URL (the public site) and API_URL (this server's public
+// address), never from request headers: the responses are cached publicly, so a forged
+// Host header must not end up in them.
+module.exports = () => {
+  const router = express.Router();
+
+  if (!process.env.CLIENT_URL || !process.env.API_URL) {
+    throw new Error("CLIENT_URL and API_URL must be set for the blog feeds.");
+  }
+  const siteUrl = process.env.CLIENT_URL.replace(/\/$/, "");
+  const apiUrl = process.env.API_URL.replace(/\/$/, "");
+  const postUrl = (post) => `${siteUrl}${BLOG_POST_PATH}/${post.slug}`;
+
+  // Latest updatedAt and number of documents matching `filter`, which version the output
+  const getVersion = async (Model, filter) => {
+    const [result] = await Model.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          latest: { $max: "$updatedAt" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+    return result || { latest: null, count: 0 };
+  };
+
+  // Sets the cache headers and an ETag built from `versions`, then answers 304 when the
+  // client's copy is current, or sends what build() returns
+  const sendCached = async (req, res, { type, name, versions }, build) => {
+    const latest = versions.reduce(
+      (max, { latest }) => (latest && (!max || latest > max) ? latest : max),
+      null
+    );
+    const tag = versions
+      .map((v) => `${v.latest ? v.latest.getTime() : 0}-${v.count}`)
+      .join(".");
+    res.set({
+      "Content-Type": `${type}; charset=utf-8`,
+      "Cache-Control": `public, max-age=${FEED_CACHE_SECONDS}`,
+      ETag: `W/"${name}-${tag}"`,
+    });
+    if (latest) res.set("Last-Modified", latest.toUTCString());
+    if (req.fresh) return res.status(304).end();
+    res.send(await build());
+  };
+
+  const findFeedPosts = () =>
+    BlogPost.find(BlogPost.publicFilter())
+      .sort({ publishAt: -1, _id: -1 })
+      .limit(FEED_LIMIT)
+      .select(
+        "title slug snippet contentHtml author categories imageUrl publishAt updatedAt"
+      )
+      .lean();
+
+  const sendFeed = (format) => async (req, res) => {
+    try {
+      const versions = [await getVersion(BlogPost, BlogPost.publicFilter())];
+      const options = {
+        siteUrl,
+        feedUrl: `${apiUrl}/blog/${format}.xml`,
+        apiUrl,
+        postUrl,
+      };
+      await sendCached(
+        req,
+        res,
+        {
+          type:
+            format === "rss" ? "application/rss+xml" : "application/atom+xml",
+          name: format,
+          versions,
+        },
+        async () =>
+          (format === "rss" ? buildRss : buildAtom)(
+            await findFeedPosts(),
+            options
+          )
+      );
+    } catch (err) {
+      console.error(`Error building ${format} feed:`, err);
+      res
+        .status(500)
+        .json({ msg: "Server error building the feed", error: err.message });
+    }
+  };
+
+  // ============================= // Feed Routes // =============================
+
+  // GET /blog/rss.xml - RSS 2.0 feed of the latest published blog posts
+  router.get("/blog/rss.xml", sendFeed("rss"));
+
+  // GET /blog/atom.xml - Atom feed of the latest published blog posts
+  router.get("/blog/atom.xml", sendFeed("atom"));
+
+  // GET /sitemap.xml - Site pages, published blog posts and active service pages
+  router.get("/sitemap.xml", async (req, res) => {
+    try {
+      const serviceFilter = { isActive: true };
+      const versions = await Promise.all([
+        getVersion(BlogPost, BlogPost.publicFilter()),
+        getVersion(ServiceCatalog, serviceFilter),
+      ]);
+      await sendCached(
+        req,
+        res,
+        { type: "application/xml", name: "sitemap", versions },
+        async () => {
+          const [posts, services] = await Promise.all([
+            BlogPost.find(BlogPost.publicFilter())
+              .sort({ publishAt: -1 })
+              .select("slug updatedAt")
+              .lean(),
+            ServiceCatalog.find(serviceFilter)
+              .sort({ platform: 1, service: 1 })
+              .select("platform service updatedAt")
+              .lean(),
+          ]);
+          return buildSitemap([
+            { loc: `${siteUrl}/`, changefreq: "weekly", priority: 1 },
+            {
+              loc: `${siteUrl}${BLOG_POST_PATH}`,
+              lastmod: versions[0].latest,
+              changefreq: "daily",
+              priority: 0.8,
+            },
+            ...services.map((entry) => ({
+              loc: `${siteUrl}${SERVICE_PAGE_PATH}/${BlogPost.slugify(
+                entry.platform
+              )}/${BlogPost.slugify(entry.service)}`,
+              lastmod: entry.updatedAt,
+              changefreq: "weekly",
+              priority: 0.9,
+            })),
+            ...posts.map((post) => ({
+              loc: postUrl(post),
+              lastmod: post.updatedAt,
+              changefreq: "monthly",
+              priority: 0.6,
+            })),
+          ]);
+        }
+      );
+    } catch (err) {
+      console.error("Error building sitemap:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error building the sitemap", error: err.message });
+    }
+  });
+
+  return router;
+};
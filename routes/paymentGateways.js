@@ -0,0 +1,349 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Order = require("../models/order");
+const Payment = require("../models/Payment");
+const { createSendTemplatedEmail } = require("../utils/mailer");
+const { paymentEmailData } = require("../utils/emailData");
+const { snapshot, recordAudit } = require("../utils/audit");
+const { settleOrderPayment } = require("../utils/reconciliation");
+const { getGateway, listGateways } = require("../utils/paymentGateways");
+
+// Payment gateway routes: checkouts are started here and approved by the gateway's signed
+// webhook instead of an admin (see utils/paymentGateways.js). Like routes/auth.js, this
+// module exports a function that accepts the Nodemailer 'transporter' object.
+module.exports = (transporter) => {
+  const router = express.Router();
+  const sendTemplatedEmail = createSendTemplatedEmail(transporter);
+  // Set up the enabled adapters now, so a misconfigured one (e.g. the fake gateway
+  // without FAKE_GATEWAY_SECRET) stops the server at startup
+  listGateways().forEach(getGateway);
+
+  // Resolves :gateway to its adapter, or answers 404 for unknown/disabled gateways
+  const findGateway = (req, res, next) => {
+    req.gateway = getGateway(req.params.gateway);
+    if (!req.gateway) {
+      return res
+        .status(404)
+        .json({ msg: `Payment gateway '${req.params.gateway}' not found.` });
+    }
+    next();
+  };
+
+  // Body of the 409 answered while an earlier checkout of the order is unsettled
+  const checkoutInProgress = (pendingCheckout) => ({
+    msg: "A checkout for this order is already in progress. Complete it, or check its status so a cancelled one is released.",
+    paymentId: pendingCheckout ? pendingCheckout._id : null,
+    gateway: pendingCheckout ? pendingCheckout.gateway : null,
+  });
+
+  const notifyPaymentStatus = async (payment) => {
+    const clientEmailResult = await sendTemplatedEmail(
+      payment.clientEmail,
+      "payment-status-client",
+      paymentEmailData(payment),
+      { dedupeKey: `payment-status-client:${payment._id}:${payment.status}` }
+    );
+    if (!clientEmailResult.success) {
+      console.error(
+        "Failed to send payment status update email to client:",
+        payment.clientEmail,
+        clientEmailResult.error
+      );
+    }
+    if (process.env.ADMIN_RECEIVING_EMAIL) {
+      const adminEmailResult = await sendTemplatedEmail(
+        process.env.ADMIN_RECEIVING_EMAIL,
+        "payment-status-admin",
+        paymentEmailData(payment),
+        { dedupeKey: `payment-status-admin:${payment._id}:${payment.status}` }
+      );
+      if (!adminEmailResult.success) {
+        console.error(
+          "Failed to send admin notification email for payment status change:",
+          process.env.ADMIN_RECEIVING_EMAIL,
+          adminEmailResult.error
+        );
+      }
+    }
+  };
+
+  // Applies what the gateway reports for a pending payment: approves it when the paid
+  // amount and currency match what was requested, rejects it when the gateway declined,
+  // and otherwise leaves it for an admin. Returns the reconciliation summary when the
+  // payment was settled, null when nothing changed.
+  const applyGatewayResult = async (req, payment, result) => {
+    if (payment.status !== "Pending" || result.status === "Pending") {
+      return null;
+    }
+    const paymentBefore = snapshot(payment);
+    const amountMatches =
+      Math.abs(Number(result.amount) - payment.gatewayAmount) < 0.005 &&
+      result.currency === payment.gatewayCurrency;
+
+    let updates;
+    if (result.status === "Approved" && !amountMatches) {
+      updates = {
+        remarks: `${payment.gateway} reported ${result.currency} ${result.amount} paid, expected ${payment.gatewayCurrency} ${payment.gatewayAmount}. Needs manual review.`,
+      };
+    } else {
+      updates = {
+        status: result.status,
+        remarks: `${result.status} by ${payment.gateway}.`,
+      };
+      if (result.transactionId) updates.transactionId = result.transactionId;
+    }
+
+    // Only a payment that is still pending is settled, so concurrent webhooks and status
+    // checks can't approve it twice
+    const settledPayment = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "Pending" },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+    if (!settledPayment) return null;
+    await recordAudit(req, {
+      action: "payment.update",
+      entityType: "Payment",
+      entityId: settledPayment._id,
+      before: paymentBefore,
+      after: settledPayment,
+    });
+    if (settledPayment.status === "Pending") {
+      console.warn(
+        `Gateway amount mismatch for payment ${settledPayment._id}: ${updates.remarks}`
+      );
+      return null;
+    }
+
+    const reconciliation = await settleOrderPayment(req, settledPayment);
+    await notifyPaymentStatus(settledPayment);
+    return reconciliation;
+  };
+
+  // ============================= // Payment Gateway Routes // =============================
+
+  // GET /followerApi/paymentGateways - List the enabled payment gateways
+  router.get("/paymentGateways", (req, res) => {
+    res.json({
+      gateways: listGateways().map((name) => ({
+        name,
+        paymentMethod: getGateway(name).paymentMethod,
+      })),
+    });
+  });
+
+  // POST /followerApi/paymentGateways/:gateway/initiate - Start a gateway checkout for an order
+  // Body: { orderId, clientName, clientEmail }. Charges the order's outstanding balance and
+  // returns the URL to send the buyer to.
+  router.post(
+    "/paymentGateways/:gateway/initiate",
+    findGateway,
+    async (req, res) => {
+      const { orderId, clientName, clientEmail } = req.body;
+      let payment = null;
+      try {
+        if (!orderId || !clientName || !clientEmail) {
+          return res.status(400).json({
+            msg: "Please provide all required fields: orderId, clientName, clientEmail.",
+          });
+        }
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+          return res.status(400).json({ msg: "Invalid order ID format." });
+        }
+
+        const order = await Order.findById(orderId);
+        if (!order) {
+          return res.status(404).json({ msg: "Order not found." });
+        }
+        if (order.email !== String(clientEmail).trim().toLowerCase()) {
+          return res.status(400).json({
+            msg: "The client email does not match the email on this order.",
+          });
+        }
+        if (!Order.PAYABLE_ORDER_STATUSES.includes(order.status)) {
+          return res.status(400).json({
+            msg: `Order is '${order.status}' and can no longer be paid.`,
+          });
+        }
+        if (order.outstandingBalance <= 0) {
+          return res
+            .status(400)
+            .json({ msg: "This order has already been paid in full." });
+        }
+        // One checkout at a time (also enforced by a unique index on Payment)
+        const pendingCheckout = await Payment.findOne({
+          orderId: order._id,
+          status: "Pending",
+          gateway: { $gt: "" },
+        }).select("_id gateway");
+        if (pendingCheckout) {
+          return res.status(409).json(checkoutInProgress(pendingCheckout));
+        }
+
+        const paymentId = new mongoose.Types.ObjectId();
+        payment = await Payment.create({
+          _id: paymentId,
+          orderId,
+          clientName,
+          clientEmail,
+          amount: order.outstandingBalance,
+          paymentMethod: req.gateway.paymentMethod,
+          transactionId: paymentId.toString(), // Replaced by the gateway's ids below
+          gateway: req.params.gateway,
+          status: "Pending", // Settled by the gateway's webhook
+          paymentDate: new Date(),
+        });
+
+        const checkout = await req.gateway.initiate({ payment, order });
+        payment.set({
+          transactionId: checkout.reference,
+          gatewayReference: checkout.reference,
+          gatewayAmount: checkout.amount,
+          gatewayCurrency: checkout.currency,
+        });
+        await payment.save();
+        await recordAudit(req, {
+          action: "payment.create",
+          entityType: "Payment",
+          entityId: payment._id,
+          after: payment,
+        });
+
+        res.status(201).json({
+          msg: "Checkout started.",
+          paymentId: payment._id,
+          reference: checkout.reference,
+          redirectUrl: checkout.redirectUrl,
+          amount: checkout.amount,
+          currency: checkout.currency,
+        });
+      } catch (err) {
+        if (err.code === 11000 && !payment) {
+          const pendingCheckout = await Payment.findOne({
+            orderId,
+            status: "Pending",
+            gateway: { $gt: "" },
+          }).select("_id gateway");
+          return res.status(409).json(checkoutInProgress(pendingCheckout));
+        }
+        console.error("Gateway Checkout Failed:", err);
+        // Don't keep a payment the gateway never saw
+        if (payment && !payment.gatewayReference) {
+          await Payment.deleteOne({ _id: payment._id }).catch((deleteErr) =>
+            console.error("Failed to remove unstarted payment:", deleteErr)
+          );
+        }
+        res.status(502).json({
+          msg: "Could not start the checkout with the payment gateway.",
+          error: err.message,
+        });
+      }
+    }
+  );
+
+  // POST /followerApi/paymentGateways/:gateway/webhook - Payment events from the gateway
+  // The signature is checked against the raw request body (kept by express.json in server.js).
+  router.post(
+    "/paymentGateways/:gateway/webhook",
+    findGateway,
+    async (req, res) => {
+      let payment = null;
+      let claimedEventId = null;
+      try {
+        const event = await req.gateway.verifyWebhook(req);
+        if (!event) {
+          return res.status(401).json({ msg: "Invalid webhook signature." });
+        }
+
+        // Answer 200 for events we don't act on, so the gateway stops redelivering them
+        payment = event.reference
+          ? await Payment.findOne({
+              gateway: req.params.gateway,
+              gatewayReference: event.reference,
+            })
+          : null;
+        if (!payment) {
+          return res.json({ received: true, msg: "No matching payment." });
+        }
+        if (event.id) {
+          const firstDelivery = await Payment.updateOne(
+            { _id: payment._id, gatewayEvents: { $ne: event.id } },
+            { $push: { gatewayEvents: event.id } }
+          );
+          if (firstDelivery.modifiedCount === 0) {
+            return res.json({ received: true, msg: "Event already handled." });
+          }
+          claimedEventId = event.id;
+        }
+
+        // Events that don't settle the payment (e.g. a PayPal checkout approved by the
+        // buyer) are resolved by asking the gateway, which also captures approved checkouts
+        const result =
+          event.status === "Pending"
+            ? await req.gateway.queryStatus(payment.gatewayReference)
+            : event;
+        const reconciliation = await applyGatewayResult(req, payment, result);
+        res.json({
+          received: true,
+          paymentStatus: result.status,
+          reconciliation,
+        });
+      } catch (err) {
+        console.error("Gateway Webhook Error:", err);
+        // Forget the event, so the gateway's retry is handled instead of skipped
+        if (claimedEventId) {
+          await Payment.updateOne(
+            { _id: payment._id },
+            { $pull: { gatewayEvents: claimedEventId } }
+          ).catch((pullErr) =>
+            console.error("Failed to release webhook event:", pullErr)
+          );
+        }
+        res
+          .status(500)
+          .json({ msg: "Server error handling webhook", error: err.message });
+      }
+    }
+  );
+
+  // GET /followerApi/paymentGateways/:gateway/status/:paymentId - Check a checkout with the gateway
+  // Used by the return page so a payment is settled even when the webhook is late.
+  router.get(
+    "/paymentGateways/:gateway/status/:paymentId",
+    findGateway,
+    async (req, res) => {
+      try {
+        const { paymentId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+          return res.status(400).json({ msg: "Invalid payment ID format." });
+        }
+        const payment = await Payment.findOne({
+          _id: paymentId,
+          gateway: req.params.gateway,
+        });
+        if (!payment) {
+          return res.status(404).json({ msg: "Payment not found." });
+        }
+
+        if (payment.status === "Pending") {
+          const result = await req.gateway.queryStatus(
+            payment.gatewayReference
+          );
+          await applyGatewayResult(req, payment, result);
+        }
+        const current = await Payment.findById(paymentId).select(
+          "orderId amount status gatewayReference gatewayAmount gatewayCurrency remarks"
+        );
+        res.json({ payment: current });
+      } catch (err) {
+        console.error("Gateway Status Check Error:", err);
+        res.status(502).json({
+          msg: "Could not check the payment with the payment gateway.",
+          error: err.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
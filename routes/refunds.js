@@ -0,0 +1,336 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Order = require("../models/order");
+const Payment = require("../models/Payment");
+const Refund = require("../models/Refund");
+const { authenticate, adminOnly } = require("../middleware/auth");
+const { allowFields } = require("../middleware/fieldPolicy");
+const { createSendTemplatedEmail } = require("../utils/mailer");
+const { refundEmailData } = require("../utils/emailData");
+const { buildRefundQuery } = require("../utils/listFilters");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { snapshot, recordAudit } = require("../utils/audit");
+
+// Refund workflow routes. Like routes/auth.js, this module exports a function that
+// accepts the Nodemailer 'transporter' object so notifications can be sent.
+module.exports = (transporter) => {
+  const router = express.Router();
+  const sendTemplatedEmail = createSendTemplatedEmail(transporter);
+
+  // Sum of approved payments for an order, minus refunds that are already approved or
+  // still pending (optionally ignoring one refund, e.g. the one being approved).
+  const getRefundableAmount = async (orderId, excludeRefundId) => {
+    const orderObjectId = new mongoose.Types.ObjectId(orderId.toString());
+    const [paid] = await Payment.aggregate([
+      { $match: { orderId: orderObjectId, status: "Approved" } },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]);
+    const refundMatch = {
+      orderId: orderObjectId,
+      status: { $in: ["Pending", "Approved"] },
+    };
+    if (excludeRefundId) {
+      refundMatch._id = {
+        $ne: new mongoose.Types.ObjectId(excludeRefundId.toString()),
+      };
+    }
+    const [refunded] = await Refund.aggregate([
+      { $match: refundMatch },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]);
+    const paidTotal = paid ? paid.total : 0;
+    const refundedTotal = refunded ? refunded.total : 0;
+    return {
+      paidTotal,
+      refundedTotal,
+      refundable: Math.max(paidTotal - refundedTotal, 0),
+    };
+  };
+
+  // ============================= // Refund Management Routes // =============================
+
+  // POST /followerApi/createRefund - Request a refund for one of your own orders
+  router.post("/createRefund", authenticate, async (req, res) => {
+    try {
+      const { orderId, amount, reason } = req.body;
+
+      if (!orderId || amount === undefined || !reason) {
+        return res.status(400).json({
+          msg: "Please provide all required fields: orderId, amount, reason.",
+        });
+      }
+      if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        return res.status(400).json({ msg: "Invalid order ID format." });
+      }
+      const refundAmount = Number(amount);
+      if (isNaN(refundAmount) || refundAmount <= 0) {
+        return res
+          .status(400)
+          .json({ msg: "Refund amount must be a positive number." });
+      }
+
+      const order = await Order.findById(orderId);
+      if (!order) {
+        return res.status(404).json({ msg: "Order not found." });
+      }
+      if (order.email !== req.user.email.toLowerCase()) {
+        return res
+          .status(403)
+          .json({ msg: "You can only request refunds for your own orders." });
+      }
+      if (order.status === "Refunded") {
+        return res
+          .status(400)
+          .json({ msg: "This order has already been refunded." });
+      }
+
+      const { paidTotal, refundable } = await getRefundableAmount(order._id);
+      if (refundAmount > refundable) {
+        return res.status(400).json({
+          msg: `Refund amount exceeds the refundable balance of PKR ${refundable.toFixed(
+            0
+          )}.`,
+          paidTotal,
+          refundable,
+        });
+      }
+
+      const newRefund = await Refund.create({
+        userId: req.user._id,
+        orderId: order._id,
+        clientName: req.user.name,
+        clientEmail: req.user.email,
+        amount: refundAmount,
+        reason,
+      });
+      await recordAudit(req, {
+        action: "refund.create",
+        entityType: "Refund",
+        entityId: newRefund._id,
+        after: newRefund,
+      });
+
+      if (process.env.ADMIN_RECEIVING_EMAIL) {
+        const adminEmailResult = await sendTemplatedEmail(
+          process.env.ADMIN_RECEIVING_EMAIL,
+          "refund-requested-admin",
+          refundEmailData(newRefund),
+          { dedupeKey: `refund-requested-admin:${newRefund._id}` }
+        );
+        if (!adminEmailResult.success) {
+          console.error(
+            "Failed to send refund request email to admin:",
+            process.env.ADMIN_RECEIVING_EMAIL,
+            adminEmailResult.error
+          );
+        }
+      }
+
+      res
+        .status(201)
+        .json({ msg: "Refund requested successfully", refund: newRefund });
+    } catch (err) {
+      console.error("Refund Creation Failed:", err);
+      res.status(500).json({
+        msg: "Server error during refund creation",
+        error: err.message,
+      });
+    }
+  });
+
+  // GET /followerApi/allRefunds - Get all refunds, optionally filtered (Admin only)
+  // Supported filters: ?status=Pending&orderId=...&userId=...&email=...&from=...&to=...
+  // and ?sort=createdAt|amount (prefix "-" for descending); paginated with ?page=&limit=
+  router.get("/allRefunds", adminOnly, async (req, res) => {
+    try {
+      const { filter, sort } = buildRefundQuery(req.query);
+      const { docs: refunds, pagination } = await paginate(
+        Refund,
+        filter,
+        { ...parsePagination(req.query), sort },
+        (query) => query.populate("orderId", "price status")
+      );
+
+      res.json({
+        refunds: refunds.map((refund) => ({
+          _id: refund._id,
+          orderId: refund.orderId ? refund.orderId._id : null,
+          orderPrice: refund.orderId ? refund.orderId.price : null,
+          orderStatus: refund.orderId ? refund.orderId.status : null,
+          userId: refund.userId,
+          clientName: refund.clientName,
+          clientEmail: refund.clientEmail,
+          amount: refund.amount,
+          reason: refund.reason,
+          status: refund.status,
+          adminRemarks: refund.adminRemarks,
+          createdAt: refund.createdAt,
+          updatedAt: refund.updatedAt,
+        })),
+        pagination,
+      });
+    } catch (err) {
+      if (err.name === "InvalidQueryError") {
+        return res.status(400).json({ msg: err.message });
+      }
+      console.error("Error fetching all refunds:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error fetching refunds", error: err.message });
+    }
+  });
+
+  // GET /followerApi/myRefunds - Get the refund history of the logged-in user
+  router.get("/myRefunds", authenticate, async (req, res) => {
+    try {
+      const refunds = await Refund.find({ userId: req.user._id }).sort({
+        createdAt: -1,
+      });
+      res.json({ refunds });
+    } catch (err) {
+      console.error("Error fetching user refunds:", err);
+      res.status(500).json({
+        msg: "Server error fetching user refunds",
+        error: err.message,
+      });
+    }
+  });
+
+  // PATCH /followerApi/updateRefund/:id - Approve or reject a refund (Admin only)
+  // Expects { status: "Approved" | "Rejected", adminRemarks: "..." }
+  router.patch(
+    "/updateRefund/:id",
+    adminOnly,
+    allowFields("Refund"),
+    async (req, res) => {
+      const { id } = req.params;
+      const { status, adminRemarks } = req.body;
+      try {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return res.status(400).json({ msg: "Invalid refund ID format." });
+        }
+        if (!["Approved", "Rejected"].includes(status)) {
+          return res.status(400).json({
+            msg: "Invalid status. Status must be 'Approved' or 'Rejected'.",
+          });
+        }
+
+        const refund = await Refund.findById(id);
+        if (!refund) {
+          return res.status(404).json({ msg: "Refund not found." });
+        }
+        if (refund.status !== "Pending") {
+          return res
+            .status(400)
+            .json({ msg: `This refund has already been ${refund.status}.` });
+        }
+
+        let order = null;
+        if (status === "Approved") {
+          order = await Order.findById(refund.orderId);
+          if (order && !order.canTransitionTo("Refunded")) {
+            return res.status(400).json({
+              msg: `An order with status '${order.status}' cannot be refunded.`,
+            });
+          }
+          const { refundable } = await getRefundableAmount(refund.orderId, id);
+          if (refund.amount > refundable) {
+            return res.status(400).json({
+              msg: `Refund amount exceeds the refundable balance of PKR ${refundable.toFixed(
+                0
+              )}.`,
+              refundable,
+            });
+          }
+        }
+
+        const refundBefore = snapshot(refund);
+        refund.status = status;
+        if (adminRemarks !== undefined) refund.adminRemarks = adminRemarks;
+        const updatedRefund = await refund.save();
+        await recordAudit(req, {
+          action: "refund.update",
+          entityType: "Refund",
+          entityId: updatedRefund._id,
+          before: refundBefore,
+          after: updatedRefund,
+        });
+
+        // An approved refund moves the linked order to "Refunded"
+        if (updatedRefund.status === "Approved") {
+          if (order) {
+            const orderBefore = snapshot(order);
+            order.transitionTo("Refunded", {
+              actor: req.user._id,
+              note: `Refund ${updatedRefund._id} approved`,
+            });
+            await order.save();
+            await recordAudit(req, {
+              action: "order.update",
+              entityType: "Order",
+              entityId: order._id,
+              before: orderBefore,
+              after: order,
+            });
+            console.log(
+              `Order ${updatedRefund.orderId} status updated to 'Refunded' due to refund approval.`
+            );
+          } else {
+            console.warn(
+              `Associated order ${updatedRefund.orderId} not found for refund ${id}.`
+            );
+          }
+        }
+
+        // Send email to client on refund status update
+        const clientEmailResult = await sendTemplatedEmail(
+          updatedRefund.clientEmail,
+          "refund-status-client",
+          refundEmailData(updatedRefund)
+        );
+        if (clientEmailResult.success) {
+          console.log(
+            "Refund status update email sent to client:",
+            updatedRefund.clientEmail
+          );
+        } else {
+          console.error(
+            "Failed to send refund status update email to client:",
+            updatedRefund.clientEmail,
+            clientEmailResult.error
+          );
+        }
+
+        // Send email to admin on refund status update
+        if (process.env.ADMIN_RECEIVING_EMAIL) {
+          const adminEmailResult = await sendTemplatedEmail(
+            process.env.ADMIN_RECEIVING_EMAIL,
+            "refund-status-admin",
+            refundEmailData(updatedRefund)
+          );
+          if (adminEmailResult.success) {
+            console.log(
+              "Admin notification email sent for refund status change:",
+              process.env.ADMIN_RECEIVING_EMAIL
+            );
+          } else {
+            console.error(
+              "Failed to send admin notification email for refund status change:",
+              process.env.ADMIN_RECEIVING_EMAIL,
+              adminEmailResult.error
+            );
+          }
+        }
+
+        res.json({ msg: "Refund updated successfully", refund: updatedRefund });
+      } catch (err) {
+        console.error("Refund Update Error:", err);
+        res
+          .status(500)
+          .json({ msg: "Server error updating refund", error: err.message });
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,164 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const ServiceCatalog = require("../models/ServiceCatalog");
+const { adminOnly } = require("../middleware/auth");
+const { allowFields } = require("../middleware/fieldPolicy");
+const { snapshot, recordAudit } = require("../utils/audit");
+
+// Service catalog routes: the public storefront listing plus admin management of rate tables.
+module.exports = () => {
+  const router = express.Router();
+
+  const handleCatalogError = (res, err, action) => {
+    if (err.name === "ValidationError") {
+      const errors = Object.keys(err.errors).map(
+        (key) => err.errors[key].message
+      );
+      return res
+        .status(400)
+        .json({ msg: `Validation failed for ${action}.`, errors });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({
+        msg: "A catalog entry for this platform and service already exists.",
+        error: err.message,
+      });
+    }
+    res
+      .status(500)
+      .json({ msg: `Server error during ${action}`, error: err.message });
+  };
+
+  // ============================= // Service Catalog Routes // =============================
+
+  // GET /followerApi/services - Public list of active services and their rates
+  router.get("/services", async (req, res) => {
+    try {
+      const filter = { isActive: true };
+      if (req.query.platform) filter.platform = req.query.platform;
+      const services = await ServiceCatalog.find(filter)
+        .select(
+          "platform service pricePer1000 minQuantity maxQuantity description"
+        )
+        .sort({ platform: 1, service: 1 });
+      res.json({ services });
+    } catch (err) {
+      console.error("Error fetching services:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error fetching services", error: err.message });
+    }
+  });
+
+  // GET /followerApi/serviceCatalog - Get all catalog entries, including inactive ones (Admin only)
+  router.get("/serviceCatalog", adminOnly, async (req, res) => {
+    try {
+      const services = await ServiceCatalog.find().sort({
+        platform: 1,
+        service: 1,
+      });
+      res.json({ services });
+    } catch (err) {
+      console.error("Error fetching service catalog:", err);
+      res.status(500).json({
+        msg: "Server error fetching service catalog",
+        error: err.message,
+      });
+    }
+  });
+
+  // POST /followerApi/serviceCatalog - Create a catalog entry (Admin only)
+  router.post(
+    "/serviceCatalog",
+    adminOnly,
+    allowFields("ServiceCatalog"),
+    async (req, res) => {
+      try {
+        const newEntry = await ServiceCatalog.create(req.body);
+        await recordAudit(req, {
+          action: "service.create",
+          entityType: "ServiceCatalog",
+          entityId: newEntry._id,
+          after: newEntry,
+        });
+        res
+          .status(201)
+          .json({ msg: "Service created successfully", service: newEntry });
+      } catch (err) {
+        console.error("Error creating catalog entry:", err);
+        handleCatalogError(res, err, "service creation");
+      }
+    }
+  );
+
+  // PATCH /followerApi/serviceCatalog/:id - Update a catalog entry (Admin only)
+  router.patch(
+    "/serviceCatalog/:id",
+    adminOnly,
+    allowFields("ServiceCatalog"),
+    async (req, res) => {
+      const { id } = req.params;
+      try {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return res.status(400).json({ msg: "Invalid service ID format." });
+        }
+        const entry = await ServiceCatalog.findById(id);
+        if (!entry) {
+          return res.status(404).json({ msg: "Service not found." });
+        }
+        // Load-modify-save so the min/max cross-field validation sees both values
+        const entryBefore = snapshot(entry);
+        entry.set(req.body);
+        const updatedEntry = await entry.save();
+        await recordAudit(req, {
+          action: "service.update",
+          entityType: "ServiceCatalog",
+          entityId: updatedEntry._id,
+          before: entryBefore,
+          after: updatedEntry,
+        });
+        res.json({
+          msg: "Service updated successfully",
+          service: updatedEntry,
+        });
+      } catch (err) {
+        console.error("Error updating catalog entry:", err);
+        handleCatalogError(res, err, "service update");
+      }
+    }
+  );
+
+  // DELETE /followerApi/serviceCatalog/:id - Remove a catalog entry from sale (Admin only)
+  // The entry is deactivated rather than deleted, so the default catalog seeded at startup
+  // doesn't bring it back; set isActive to true again to restore it.
+  router.delete("/serviceCatalog/:id", adminOnly, async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ msg: "Invalid service ID format." });
+      }
+      const entry = await ServiceCatalog.findById(id);
+      if (!entry) {
+        return res.status(404).json({ msg: "Service not found." });
+      }
+      const entryBefore = snapshot(entry);
+      entry.isActive = false;
+      const deletedEntry = await entry.save();
+      await recordAudit(req, {
+        action: "service.delete",
+        entityType: "ServiceCatalog",
+        entityId: deletedEntry._id,
+        before: entryBefore,
+        after: deletedEntry,
+      });
+      res.json({ msg: "Service deleted successfully." });
+    } catch (err) {
+      console.error("Error deleting catalog entry:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error deleting service", error: err.message });
+    }
+  });
+
+  return router;
+};
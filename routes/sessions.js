@@ -0,0 +1,133 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const { authenticate, adminOnly } = require("../middleware/auth");
+const {
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  deviceFromRequest,
+} = require("../utils/sessions");
+const { recordAudit } = require("../utils/audit");
+
+// Session routes: refresh token rotation, logout and session revocation.
+module.exports = () => {
+  const router = express.Router();
+
+  // ============================= // Session Routes // =============================
+
+  // POST /followerApi/token/refresh - Exchange a refresh token for a new token pair
+  router.post("/token/refresh", async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+      if (!refreshToken || typeof refreshToken !== "string") {
+        return res.status(400).json({ msg: "Refresh token is required." });
+      }
+
+      const result = await rotateRefreshToken(
+        refreshToken,
+        deviceFromRequest(req)
+      );
+      if (result.error) {
+        return res.status(result.status).json({ msg: result.error });
+      }
+
+      res.json({
+        token: result.token,
+        refreshToken: result.refreshToken,
+        role: result.user.role,
+      });
+    } catch (err) {
+      console.error("Token Refresh Error:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error during token refresh", error: err.message });
+    }
+  });
+
+  // POST /followerApi/logout - End the session of this device
+  router.post("/logout", async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+      if (!refreshToken || typeof refreshToken !== "string") {
+        return res.status(400).json({ msg: "Refresh token is required." });
+      }
+      await revokeRefreshToken(refreshToken);
+      // Always succeed: an unknown or already revoked token is logged out anyway
+      res.json({ msg: "Logged out successfully." });
+    } catch (err) {
+      console.error("Logout Error:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error during logout", error: err.message });
+    }
+  });
+
+  // POST /followerApi/logoutAll - End every session of the logged-in user
+  router.post("/logoutAll", authenticate, async (req, res) => {
+    try {
+      await revokeAllSessions(req.user._id);
+      await recordAudit(req, {
+        action: "user.logoutAll",
+        entityType: "User",
+        entityId: req.user._id,
+      });
+      res.json({ msg: "Logged out from all devices successfully." });
+    } catch (err) {
+      console.error("Logout All Error:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error during logout", error: err.message });
+    }
+  });
+
+  // GET /followerApi/sessions - List the active sessions of the logged-in user
+  router.get("/sessions", authenticate, async (req, res) => {
+    try {
+      const sessions = await RefreshToken.find({
+        userId: req.user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      })
+        .select(
+          "deviceId deviceName userAgent ip lastUsedAt createdAt expiresAt"
+        )
+        .sort({ lastUsedAt: -1 });
+      res.json({ sessions });
+    } catch (err) {
+      console.error("Error fetching sessions:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error fetching sessions", error: err.message });
+    }
+  });
+
+  // POST /followerApi/revokeSessions/:userId - Revoke every session of a user (Admin only)
+  router.post("/revokeSessions/:userId", adminOnly, async (req, res) => {
+    const { userId } = req.params;
+    try {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ msg: "Invalid user ID format." });
+      }
+      const user = await User.findById(userId).select("_id");
+      if (!user) {
+        return res.status(404).json({ msg: "User not found." });
+      }
+      await revokeAllSessions(user._id);
+      await recordAudit(req, {
+        action: "user.revokeSessions",
+        entityType: "User",
+        entityId: user._id,
+      });
+      res.json({ msg: "All sessions revoked for this user." });
+    } catch (err) {
+      console.error("Error revoking sessions:", err);
+      res
+        .status(500)
+        .json({ msg: "Server error revoking sessions", error: err.message });
+    }
+  });
+
+  return router;
+};
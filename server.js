@@ -6,16 +6,41 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const cloudinary = require("cloudinary").v2;
 const nodemailer = require("nodemailer"); // RE-ADDED: Nodemailer import
+const ServiceCatalog = require("./models/ServiceCatalog");
+const BlogPost = require("./models/BlogPost");
+const { createEmailWorker } = require("./utils/emailQueue");
+const { LOCAL_UPLOAD_DIR, LOCAL_UPLOAD_URL } = require("./utils/storage");
 
 // Initialize Express app
 const app = express();
 
+// Proxies whose X-Forwarded-For header is believed, so req.ip is the client's address (used
+// by the login and comment rate limits). TRUST_PROXY takes a hop count, true/false, or a
+// list of addresses/subnets; the default trusts proxies on private networks only.
+const TRUST_PROXY =
+  process.env.TRUST_PROXY || "loopback, linklocal, uniquelocal";
+app.set(
+  "trust proxy",
+  /^\d+$/.test(TRUST_PROXY)
+    ? Number(TRUST_PROXY)
+    : ["true", "false"].includes(TRUST_PROXY)
+    ? TRUST_PROXY === "true"
+    : TRUST_PROXY
+);
+
 // ===================================
 // Middleware Configuration
 // ===================================
 
-// Parse JSON request bodies
-app.use(express.json({ limit: "10mb" }));
+// Parse JSON request bodies. The raw body is kept for payment gateway webhook signatures.
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Parse URL-encoded request bodies
 app.use(express.urlencoded({ limit: "10mb", extended: true }));
@@ -35,7 +60,23 @@ app.use(cors(corsOptions));
 // Connect to MongoDB using Mongoose
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("✅ MongoDB Connected Successfully"))
+  .then(() => {
+    console.log("✅ MongoDB Connected Successfully");
+    // Make sure the default service rate tables exist
+    ServiceCatalog.seedDefaults()
+      .then((seeded) => {
+        if (seeded > 0) {
+          console.log(`✅ Seeded ${seeded} service catalog entries`);
+        }
+      })
+      .catch((err) => console.error("❌ Service Catalog Seed Error:", err));
+    // Give blog posts created before statuses/slugs/reading times existed those fields
+    BlogPost.backfillPosts()
+      .then((updated) => {
+        if (updated > 0) console.log(`✅ Backfilled ${updated} blog posts`);
+      })
+      .catch((err) => console.error("❌ Blog Slug Backfill Error:", err));
+  })
   .catch((err) => {
     console.error("❌ MongoDB Connection Error:", err);
     process.exit(1);
@@ -52,6 +93,11 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+// With STORAGE_DRIVER=local (development/tests), uploads are written to disk and served here
+if (process.env.STORAGE_DRIVER === "local") {
+  app.use(LOCAL_UPLOAD_URL, express.static(LOCAL_UPLOAD_DIR));
+}
+
 // ===================================
 // Nodemailer Configuration (RE-ENABLED)
 // ===================================
@@ -89,15 +135,80 @@ if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
   );
 }
 
+// ===================================
+// Email Queue Worker
+// ===================================
+
+// Routes only queue emails in the outbox; this worker delivers them in the background
+if (transporter) {
+  const emailWorker = createEmailWorker(transporter);
+  mongoose.connection.once("connected", () => {
+    emailWorker.start();
+    console.log("✅ Email queue worker started");
+  });
+}
+
+// ===================================
+// Blog Scheduler
+// ===================================
+
+// Scheduled posts are public from their publishAt; this also marks them as published
+const BLOG_PUBLISH_INTERVAL_MS = Number(
+  process.env.BLOG_PUBLISH_INTERVAL_MS || 60000
+);
+mongoose.connection.once("connected", () => {
+  const publishDuePosts = () =>
+    BlogPost.publishDuePosts()
+      .then((published) => {
+        if (published > 0) console.log(`✅ Published ${published} blog posts`);
+      })
+      .catch((err) => console.error("❌ Blog Scheduler Error:", err));
+  publishDuePosts();
+  setInterval(publishDuePosts, BLOG_PUBLISH_INTERVAL_MS);
+});
+
 // ===================================
 // Route Handling
 // ===================================
 
 // Import and use your authentication and order routes
 const authRoutes = require("./routes/auth.js");
+const accountRoutes = require("./routes/account.js");
+const sessionRoutes = require("./routes/sessions.js");
+const refundRoutes = require("./routes/refunds.js");
+const serviceRoutes = require("./routes/services.js");
+const emailTemplateRoutes = require("./routes/emailTemplates.js");
+const emailOutboxRoutes = require("./routes/emailOutbox.js");
+const analyticsRoutes = require("./routes/analytics.js");
+const exportRoutes = require("./routes/exports.js");
+const bulkOrderRoutes = require("./routes/bulkOrders.js");
+const archiveRoutes = require("./routes/archive.js");
+const auditLogRoutes = require("./routes/auditLogs.js");
+const paymentGatewayRoutes = require("./routes/paymentGateways.js");
+const couponRoutes = require("./routes/coupons.js");
+const blogRoutes = require("./routes/blog.js");
+const commentRoutes = require("./routes/comments.js");
+const feedRoutes = require("./routes/feeds.js");
 
 // Pass the transporter to your authRoutes module
 app.use("/followerApi", authRoutes(transporter)); // RE-ADDED: Passing transporter
+app.use("/followerApi", accountRoutes(transporter));
+app.use("/followerApi", sessionRoutes());
+app.use("/followerApi", refundRoutes(transporter));
+app.use("/followerApi", serviceRoutes());
+app.use("/followerApi", emailTemplateRoutes());
+app.use("/followerApi", emailOutboxRoutes());
+app.use("/followerApi", analyticsRoutes());
+app.use("/followerApi", exportRoutes());
+app.use("/followerApi", bulkOrderRoutes(transporter));
+app.use("/followerApi", archiveRoutes());
+app.use("/followerApi", auditLogRoutes());
+app.use("/followerApi", paymentGatewayRoutes(transporter));
+app.use("/followerApi", couponRoutes());
+app.use("/followerApi", blogRoutes());
+app.use("/followerApi", commentRoutes());
+// RSS/Atom feeds and the sitemap live at the site root where crawlers look for them
+app.use(feedRoutes());
 
 // Basic root route for API health check
 app.get("/", (req, res) => res.send("API is working correctly!"));
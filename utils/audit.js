@@ -0,0 +1,63 @@
+// utils/audit.js
+const AuditLog = require("../models/AuditLog");
+
+// Never stored in the audit log, and bookkeeping fields that change on every save
+const IGNORED_FIELDS = [
+  "password",
+  "tokenVersion",
+  "__v",
+  "updatedAt",
+  "statusHistory",
+  "contentHtml", // Rendered from the blog post content, which is audited
+];
+
+// Plain copy of a document (or object) without the ignored fields
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const copy = JSON.parse(JSON.stringify(plain));
+  IGNORED_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+};
+
+// Keeps only the top-level fields whose values differ. Returns { before, after }.
+const diffSnapshots = (before, after) => {
+  if (!before || !after) return { before, after };
+  const changedBefore = {};
+  const changedAfter = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changedBefore[key] = before[key] === undefined ? null : before[key];
+      changedAfter[key] = after[key] === undefined ? null : after[key];
+    }
+  });
+  return { before: changedBefore, after: changedAfter };
+};
+
+// Records an action taken during `req`. `before`/`after` are documents or plain objects
+// (snapshot them before modifying a document). Audit failures are logged, never thrown,
+// so they can't break the action being audited.
+const recordAudit = async (
+  req,
+  { action, entityType, entityId, before, after }
+) => {
+  try {
+    const diff = diffSnapshots(snapshot(before), snapshot(after));
+    await AuditLog.create({
+      actor: req.user ? req.user._id : null,
+      actorEmail: req.user ? req.user.email : "",
+      actorRole: req.user ? req.user.role : "guest",
+      action,
+      entityType,
+      entityId: entityId || null,
+      before: diff.before,
+      after: diff.after,
+      ip: req.ip || "",
+      userAgent: req.headers["user-agent"] || "",
+    });
+  } catch (err) {
+    console.error(`Failed to record audit log for ${action}:`, err);
+  }
+};
+
+module.exports = { snapshot, recordAudit };
@@ -0,0 +1,94 @@
+// utils/comments.js
+// Spam checks and rate limits for anonymous blog commenters, and threading of replies
+// for the public comment listing (see routes/comments.js).
+const CommentRateLimit = require("../models/CommentRateLimit");
+
+// Anonymous comments allowed per IP address within the window
+const ANONYMOUS_LIMIT = Number(process.env.COMMENT_ANONYMOUS_LIMIT || 5);
+const RATE_WINDOW_MS = Number(
+  process.env.COMMENT_RATE_WINDOW_MS || 10 * 60 * 1000
+);
+// Anonymous comments with more links than this go straight to the spam queue
+const MAX_LINKS = Number(process.env.COMMENT_MAX_LINKS || 2);
+
+const LINK_PATTERN = /https?:\/\/|www\.|<a\s|\[[^\]]*\]\(/gi;
+
+const countLinks = (text) =>
+  (String(text || "").match(LINK_PATTERN) || []).length;
+
+// Reason to mark an anonymous comment as spam, or null if it looks fine
+const getSpamReason = ({ authorName, content }) => {
+  if (countLinks(authorName) > 0) return "Link in the author name";
+  const links = countLinks(content);
+  if (links > MAX_LINKS) return `Too many links (${links})`;
+  return null;
+};
+
+// Counts an anonymous comment from the IP address. Returns when it may comment again if
+// this one goes over the limit (and must be refused), or null. The count is a single atomic
+// update, so concurrent submissions can't all slip under the limit.
+const recordAnonymousComment = async (ip) => {
+  const now = new Date();
+  const windowExpired = {
+    $gt: [
+      { $subtract: [now, { $ifNull: ["$windowStartedAt", now] }] },
+      RATE_WINDOW_MS,
+    ],
+  };
+  // Start a new window when the last one is over, then count this comment
+  const counter = await CommentRateLimit.findOneAndUpdate(
+    { ip },
+    [
+      {
+        $set: {
+          count: {
+            $cond: [
+              windowExpired,
+              1,
+              { $add: [{ $ifNull: ["$count", 0] }, 1] },
+            ],
+          },
+          windowStartedAt: {
+            $cond: [windowExpired, now, { $ifNull: ["$windowStartedAt", now] }],
+          },
+        },
+      },
+      {
+        $set: { expiresAt: { $add: ["$windowStartedAt", RATE_WINDOW_MS] } },
+      },
+    ],
+    { upsert: true, new: true }
+  );
+  return counter.count > ANONYMOUS_LIMIT
+    ? new Date(counter.windowStartedAt.getTime() + RATE_WINDOW_MS)
+    : null;
+};
+
+// Top-level comments with their replies nested under `replies`, oldest first. Replies whose
+// parent is not in the list (e.g. still pending) are left out with it.
+const nestReplies = (roots, replies) => {
+  const byId = new Map();
+  const threads = roots.map((root) => {
+    const node = { ...root, replies: [] };
+    byId.set(String(root._id), node);
+    return node;
+  });
+  // Parents always have a lower depth, so they are placed before their replies
+  [...replies]
+    .sort((a, b) => a.depth - b.depth || a.createdAt - b.createdAt)
+    .forEach((reply) => {
+      const parent = byId.get(String(reply.parent));
+      if (!parent) return;
+      const node = { ...reply, replies: [] };
+      parent.replies.push(node);
+      byId.set(String(reply._id), node);
+    });
+  return threads;
+};
+
+module.exports = {
+  countLinks,
+  getSpamReason,
+  recordAnonymousComment,
+  nestReplies,
+};
@@ -0,0 +1,128 @@
+// utils/coupons.js
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const Order = require("../models/order");
+
+const invalidCoupon = (message) => {
+  const err = new Error(message);
+  err.name = "InvalidCouponError";
+  return err;
+};
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// Orders placed with the coupon from an email address, including deleted ones
+const countEmailOrders = (coupon, email) =>
+  Order.countDocuments({
+    "coupon.couponId": coupon._id,
+    email: normalizeEmail(email),
+  }).setOptions({ withDeleted: true });
+
+// Looks up a coupon code and checks it against an order ({ platform, service, price, email }).
+// Returns { coupon, discount }; throws an InvalidCouponError saying why it can't be used.
+// This is an early answer for the customer; redeemCoupon() enforces the limits atomically.
+const checkCoupon = async (code, { platform, service, price, email }) => {
+  const coupon = await Coupon.findOne({
+    code: String(code).trim().toUpperCase(),
+  });
+  if (!coupon) throw invalidCoupon("Coupon code not found.");
+
+  const reason = coupon.getIneligibilityReason({ platform, service, price });
+  if (reason) throw invalidCoupon(reason);
+
+  // perUserLimit is per email address (orders don't need an account)
+  if (coupon.perUserLimit !== null && email) {
+    const used = await countEmailOrders(coupon, email);
+    if (used >= coupon.perUserLimit) {
+      throw invalidCoupon(
+        "This email address has already used this coupon the maximum number of times."
+      );
+    }
+  }
+
+  return { coupon, discount: coupon.computeDiscount(price) };
+};
+
+// Counts one use of the coupon by `email` against perUserLimit. The limit is checked in
+// the same update as the increment, so concurrent orders can't both take the last use.
+// The counter starts from the orders the address already placed with the coupon.
+// Returns false when the limit was reached.
+const redeemForEmail = async (coupon, email) => {
+  if (coupon.perUserLimit === null || !email) return true;
+  const key = { coupon: coupon._id, email: normalizeEmail(email) };
+  if (!(await CouponRedemption.exists(key))) {
+    const used = await countEmailOrders(coupon, email);
+    await CouponRedemption.updateOne(
+      key,
+      { $setOnInsert: { count: used } },
+      { upsert: true }
+    ).catch((err) => {
+      // A concurrent order created the counter first
+      if (err.code !== 11000) throw err;
+    });
+  }
+  const result = await CouponRedemption.updateOne(
+    { ...key, count: { $lt: coupon.perUserLimit } },
+    { $inc: { count: 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const releaseForEmail = (coupon, email) =>
+  coupon.perUserLimit === null || !email
+    ? Promise.resolve()
+    : CouponRedemption.updateOne(
+        {
+          coupon: coupon._id,
+          email: normalizeEmail(email),
+          count: { $gt: 0 },
+        },
+        { $inc: { count: -1 } }
+      );
+
+// Counts one use of the coupon for an order placed by `email`. The per-email and global
+// limits are each checked in the same update as their increment, so two orders can't both
+// take the last use. Throws an InvalidCouponError when a limit was reached.
+const redeemCoupon = async (coupon, { email } = {}) => {
+  if (!(await redeemForEmail(coupon, email))) {
+    throw invalidCoupon(
+      "This email address has already used this coupon the maximum number of times."
+    );
+  }
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (result.modifiedCount !== 1) {
+    await releaseForEmail(coupon, email);
+    throw invalidCoupon("This coupon has reached its usage limit.");
+  }
+};
+
+// Gives back a use taken by redeemCoupon(), e.g. when the order could not be saved
+const releaseCoupon = (coupon, { email } = {}) =>
+  Promise.all([
+    Coupon.updateOne(
+      { _id: coupon._id, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    ),
+    releaseForEmail(coupon, email),
+  ]);
+
+// Coupon details stored on the order (Order.coupon)
+const appliedCoupon = (coupon, subtotal, discount) => ({
+  couponId: coupon._id,
+  code: coupon.code,
+  discountType: coupon.discountType,
+  discountValue: coupon.discountValue,
+  subtotal,
+  discount,
+});
+
+module.exports = { checkCoupon, redeemCoupon, releaseCoupon, appliedCoupon };
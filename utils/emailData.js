@@ -0,0 +1,168 @@
+// utils/emailData.js
+// Turns documents into the flat, preformatted data the email templates interpolate.
+
+const statusColor = (status) => {
+  if (["Completed", "Approved"].includes(status)) return "#28a745";
+  if (["Cancelled", "Failed", "Refunded", "Rejected"].includes(status)) {
+    return "#dc3545";
+  }
+  return "#ffc107";
+};
+
+const shortId = (id) => `${id.toString().substring(0, 8)}...`;
+
+const formatPKR = (amount) => `PKR ${Number(amount || 0).toFixed(0)}`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : "N/A");
+
+const orderEmailData = (order) => ({
+  name: order.name,
+  email: order.email,
+  phoneNumber: order.phoneNumber,
+  orderId: order._id.toString(),
+  shortOrderId: shortId(order._id),
+  platform: order.platform,
+  service: order.service,
+  quantity: Number(order.requiredFollowers).toLocaleString(),
+  price: formatPKR(order.price),
+  // Only set when the order was placed with a coupon
+  couponCode: order.coupon ? order.coupon.code : "",
+  subtotal: order.coupon ? formatPKR(order.coupon.subtotal) : "",
+  discount: order.coupon ? formatPKR(order.coupon.discount) : "",
+  profileLink: order.profileLink,
+  postLink: order.postLink,
+  socialId: order.socialId,
+  status: order.status,
+  statusColor: statusColor(order.status),
+  createdAt: formatDate(order.createdAt),
+});
+
+// Summary of a bulk order operation. `changes` are { order, previousStatus } entries,
+// `failures` are { id, error } entries.
+const bulkOrderEmailData = ({ actionLabel, changes, failures = [] }) => ({
+  name: changes.length > 0 ? changes[0].order.name : "",
+  actionLabel,
+  totalCount: changes.length + failures.length,
+  succeededCount: changes.length,
+  failedCount: failures.length,
+  orders: changes.map(({ order, previousStatus }) => ({
+    ...orderEmailData(order),
+    previousStatus,
+  })),
+  failures,
+});
+
+const paymentEmailData = (payment) => ({
+  paymentId: payment._id.toString(),
+  clientName: payment.clientName,
+  clientEmail: payment.clientEmail,
+  orderId: payment.orderId.toString(),
+  shortOrderId: shortId(payment.orderId),
+  amount: formatPKR(payment.amount),
+  paymentMethod: payment.paymentMethod,
+  transactionId: payment.transactionId,
+  screenshotUrl: payment.screenshotUrl,
+  // The schema default "No remarks." is treated as no remarks at all
+  remarks:
+    payment.remarks && payment.remarks !== "No remarks." ? payment.remarks : "",
+  status: payment.status,
+  statusColor: statusColor(payment.status),
+  paymentDate: formatDate(payment.paymentDate),
+});
+
+const refundEmailData = (refund) => ({
+  refundId: refund._id.toString(),
+  clientName: refund.clientName,
+  clientEmail: refund.clientEmail,
+  orderId: refund.orderId.toString(),
+  shortOrderId: shortId(refund.orderId),
+  amount: formatPKR(refund.amount),
+  reason: refund.reason,
+  adminRemarks: refund.adminRemarks,
+  status: refund.status,
+  statusColor: statusColor(refund.status),
+});
+
+// Sample documents used by the admin template preview endpoint
+const SAMPLE_ID = "665f1c2ab4d3e9a1c0ffee42";
+const SAMPLE_ORDER = {
+  _id: SAMPLE_ID,
+  name: "Ayesha Khan",
+  email: "ayesha@example.com",
+  phoneNumber: "+92 300 1234567",
+  platform: "Instagram",
+  service: "Followers",
+  requiredFollowers: 5000,
+  price: 6000,
+  coupon: { code: "WELCOME10", subtotal: 6600, discount: 600 },
+  profileLink: "https://instagram.com/ayesha",
+  postLink: "https://instagram.com/p/sample",
+  socialId: "@ayesha",
+  status: "In Progress",
+  createdAt: new Date(),
+};
+const SAMPLE_PAYMENT = {
+  _id: SAMPLE_ID,
+  orderId: SAMPLE_ID,
+  clientName: "Ayesha Khan",
+  clientEmail: "ayesha@example.com",
+  amount: 6000,
+  paymentMethod: "easypaisa",
+  transactionId: "EP123456789",
+  screenshotUrl: "https://placehold.co/600x400?text=Receipt",
+  remarks: "Paid from my brother's account.",
+  status: "Approved",
+  paymentDate: new Date(),
+};
+const SAMPLE_REFUND = {
+  _id: SAMPLE_ID,
+  orderId: SAMPLE_ID,
+  clientName: "Ayesha Khan",
+  clientEmail: "ayesha@example.com",
+  amount: 6000,
+  reason: "Order was placed twice by mistake.",
+  adminRemarks: "Refunded to the original easypaisa account.",
+  status: "Approved",
+};
+
+// Picks sample data matching a template name by its prefix (order-, payment-, refund-)
+const sampleDataFor = (templateName) => {
+  if (templateName.startsWith("order-bulk")) {
+    return bulkOrderEmailData({
+      actionLabel: "updated to In Progress",
+      changes: [{ order: SAMPLE_ORDER, previousStatus: "Pending" }],
+      failures: [
+        {
+          id: "665f1c2ab4d3e9a1c0ffee43",
+          error:
+            "Order status cannot change from 'Completed' to 'In Progress'.",
+        },
+      ],
+    });
+  }
+  if (templateName.startsWith("order")) return orderEmailData(SAMPLE_ORDER);
+  if (templateName.startsWith("payment")) {
+    return paymentEmailData(SAMPLE_PAYMENT);
+  }
+  if (templateName.startsWith("refund")) return refundEmailData(SAMPLE_REFUND);
+  return {
+    name: SAMPLE_ORDER.name,
+    email: SAMPLE_ORDER.email,
+    resetUrl: "https://followerscart.example/reset-password?token=sample",
+    verifyUrl: "https://followerscart.example/verify-email?token=sample",
+    forgotPasswordUrl: "https://followerscart.example/forgot-password",
+    lockedUntil: new Date(Date.now() + 15 * 60 * 1000).toLocaleString(),
+    ip: "203.0.113.7",
+  };
+};
+
+module.exports = {
+  statusColor,
+  shortId,
+  formatPKR,
+  orderEmailData,
+  bulkOrderEmailData,
+  paymentEmailData,
+  refundEmailData,
+  sampleDataFor,
+};
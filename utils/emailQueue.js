@@ -0,0 +1,148 @@
+// utils/emailQueue.js
+const EmailOutbox = require("../models/EmailOutbox");
+
+// Writes an email to the outbox. Returns the outbox document; if an email with the same
+// dedupeKey was already queued, the existing document is returned instead.
+const enqueueEmail = async ({
+  to,
+  subject,
+  html,
+  text,
+  template,
+  dedupeKey,
+  sensitive = false,
+}) => {
+  try {
+    const email = await EmailOutbox.create({
+      to,
+      subject,
+      html,
+      text,
+      template,
+      sensitive,
+      dedupeKey: dedupeKey || undefined,
+    });
+    return { email, duplicate: false };
+  } catch (err) {
+    if (err.code === 11000 && dedupeKey) {
+      const email = await EmailOutbox.findOne({ dedupeKey });
+      return { email, duplicate: true };
+    }
+    throw err;
+  }
+};
+
+// Background worker that delivers queued emails through any nodemailer-compatible
+// transport (anything with a promise-returning `sendMail(mailOptions)`).
+// Failed sends are retried with exponential backoff until maxAttempts is reached.
+const createEmailWorker = (
+  transport,
+  {
+    pollIntervalMs = 5000,
+    batchSize = 10,
+    baseDelayMs = 60 * 1000, // 1 min, 2 min, 4 min, ...
+    lockTimeoutMs = 5 * 60 * 1000,
+  } = {}
+) => {
+  let timer = null;
+  let running = false;
+
+  // Atomically claim the next due email so several workers never send the same one
+  const claimNext = () =>
+    EmailOutbox.findOneAndUpdate(
+      { status: "Pending", nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: "Sending", lockedAt: new Date() } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+  // Emails left in "Sending" by a crashed worker go back to the queue
+  const releaseStaleLocks = () =>
+    EmailOutbox.updateMany(
+      {
+        status: "Sending",
+        lockedAt: { $lt: new Date(Date.now() - lockTimeoutMs) },
+      },
+      { $set: { status: "Pending", lockedAt: null } }
+    );
+
+  const deliver = async (email) => {
+    email.attempts += 1;
+    try {
+      const info = await transport.sendMail({
+        from: process.env.EMAIL_USER, // Sender address from .env file
+        to: email.to,
+        subject: email.subject,
+        html: email.html,
+        text: email.text || undefined,
+      });
+      email.status = "Sent";
+      email.sentAt = new Date();
+      email.messageId = (info && info.messageId) || "";
+      email.lastError = "";
+      if (email.sensitive) {
+        email.html = "";
+        email.text = "";
+        email.bodyRemovedAt = new Date();
+      }
+      console.log("Message sent: %s", email.messageId);
+    } catch (error) {
+      email.lastError = error.message;
+      if (email.attempts >= email.maxAttempts) {
+        email.status = "Failed";
+        console.error(
+          `Email ${email._id} to ${email.to} failed after ${email.attempts} attempts:`,
+          error.message
+        );
+      } else {
+        email.status = "Pending";
+        email.nextAttemptAt = new Date(
+          Date.now() + baseDelayMs * 2 ** (email.attempts - 1)
+        );
+        console.warn(
+          `Email ${email._id} to ${email.to} failed (attempt ${
+            email.attempts
+          }), retrying at ${email.nextAttemptAt.toISOString()}:`,
+          error.message
+        );
+      }
+    }
+    email.lockedAt = null;
+    await email.save();
+  };
+
+  // Sends up to `batchSize` due emails. Returns how many were processed.
+  const processBatch = async () => {
+    if (running) return 0;
+    running = true;
+    let processed = 0;
+    try {
+      await releaseStaleLocks();
+      while (processed < batchSize) {
+        const email = await claimNext();
+        if (!email) break;
+        await deliver(email);
+        processed += 1;
+      }
+    } catch (err) {
+      console.error("Email worker error:", err);
+    } finally {
+      running = false;
+    }
+    return processed;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(processBatch, pollIntervalMs);
+    processBatch();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, processBatch };
+};
+
+module.exports = { enqueueEmail, createEmailWorker };
@@ -0,0 +1,133 @@
+// utils/emailTemplates.js
+const fs = require("fs");
+const path = require("path");
+
+// Built-in templates ship with the repo. Files placed in EMAIL_TEMPLATES_DIR with the
+// same name take precedence, so copy can be changed without touching code.
+const BUILTIN_DIR = path.join(__dirname, "..", "templates", "emails");
+const getOverrideDir = () => process.env.EMAIL_TEMPLATES_DIR || null;
+
+// Every template is three files: <name>.subject.txt, <name>.html and <name>.txt
+const TEMPLATE_PARTS = { subject: "subject.txt", html: "html", text: "txt" };
+const LAYOUT_NAME = "layout";
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const lookup = (data, key) =>
+  key
+    .split(".")
+    .reduce(
+      (value, part) =>
+        value === undefined || value === null ? undefined : value[part],
+      data
+    );
+
+const isTruthy = (value) =>
+  Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+// Sections, raw tags and escaped tags, matched together so the template is scanned once
+const TAG_PATTERN =
+  /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Minimal mustache-style renderer:
+//   {{ key }}    value, HTML-escaped when `escape` is true
+//   {{{ key }}}  raw value
+//   {{#key}}...{{/key}}  block shown when key is truthy, repeated for each item of an array
+//   {{^key}}...{{/key}}  block shown when key is falsy
+// Everything is substituted in a single pass over the template, so inserted values are
+// never parsed as template tags themselves (a name like "{{verifyUrl}}" stays literal).
+const render = (template, data, { escape = true } = {}) =>
+  template.replace(
+    TAG_PATTERN,
+    (match, type, sectionKey, inner, rawKey, key) => {
+      if (type) {
+        const value = lookup(data, sectionKey);
+        const show = isTruthy(value);
+        if (type === "#" && show && Array.isArray(value)) {
+          // Item fields are looked up first, then the surrounding data
+          return value
+            .map((item) => render(inner, { ...data, ...item }, { escape }))
+            .join("");
+        }
+        return (type === "#" ? show : !show)
+          ? render(inner, data, { escape })
+          : "";
+      }
+      const value = lookup(data, rawKey || key);
+      if (value === undefined || value === null) return "";
+      return escape && !rawKey ? escapeHtml(value) : String(value);
+    }
+  );
+
+// Reads a template file, preferring the override directory. Returns null if missing.
+const readTemplateFile = (fileName) => {
+  const overrideDir = getOverrideDir();
+  const candidates = overrideDir
+    ? [path.join(overrideDir, fileName), path.join(BUILTIN_DIR, fileName)]
+    : [path.join(BUILTIN_DIR, fileName)];
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate)) {
+      return fs.readFileSync(candidate, "utf8");
+    }
+  }
+  return null;
+};
+
+// Names of all available templates (built-in and overrides), excluding the layout
+const listTemplates = () => {
+  const names = new Set();
+  [BUILTIN_DIR, getOverrideDir()].filter(Boolean).forEach((dir) => {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir).forEach((file) => {
+      const match = file.match(/^([\w-]+)\.subject\.txt$/);
+      if (match && match[1] !== LAYOUT_NAME) names.add(match[1]);
+    });
+  });
+  return [...names].sort();
+};
+
+// Renders a named template into { subject, html, text }, wrapped in the shared layout.
+// Throws if the template does not exist.
+const renderEmail = (name, data = {}) => {
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error(`Invalid email template name '${name}'.`);
+  }
+  const subject = readTemplateFile(`${name}.${TEMPLATE_PARTS.subject}`);
+  const html = readTemplateFile(`${name}.${TEMPLATE_PARTS.html}`);
+  if (subject === null || html === null) {
+    throw new Error(`Email template '${name}' not found.`);
+  }
+  const text = readTemplateFile(`${name}.${TEMPLATE_PARTS.text}`);
+  const htmlLayout =
+    readTemplateFile(`${LAYOUT_NAME}.${TEMPLATE_PARTS.html}`) || "{{{body}}}";
+  const textLayout =
+    readTemplateFile(`${LAYOUT_NAME}.${TEMPLATE_PARTS.text}`) || "{{{body}}}";
+
+  const htmlBody = render(html, data, { escape: true });
+  const textBody =
+    text !== null
+      ? render(text, data, { escape: false })
+      : // No plain-text version: fall back to the HTML with tags stripped
+        htmlBody.replace(/<[^>]+>/g, "").replace(/\n\s*\n+/g, "\n\n");
+
+  // The rendered body is inserted into the layout as a value, so it is not parsed again
+  return {
+    subject: render(subject, data, { escape: false }).trim(),
+    html: render(htmlLayout, { ...data, body: htmlBody }, { escape: true }),
+    text: render(
+      textLayout,
+      { ...data, body: textBody.trim() },
+      {
+        escape: false,
+      }
+    ).trim(),
+  };
+};
+
+module.exports = { escapeHtml, render, renderEmail, listTemplates };
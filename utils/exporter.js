@@ -0,0 +1,166 @@
+// utils/exporter.js
+// Streams query results to the response as CSV or XLSX, one document at a time,
+// so large exports never have to fit in memory.
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const { invalidQuery } = require("./pagination");
+
+// Available export columns per collection: key -> [header, value(doc)].
+// Amounts are plain numbers (PKR) so spreadsheets can sum them.
+const EXPORT_COLUMNS = {
+  orders: {
+    id: ["Order ID", (o) => o._id.toString()],
+    createdAt: ["Date", (o) => o.createdAt],
+    name: ["Name", (o) => o.name],
+    email: ["Email", (o) => o.email],
+    phoneNumber: ["Phone", (o) => o.phoneNumber],
+    platform: ["Platform", (o) => o.platform],
+    service: ["Service", (o) => o.service],
+    quantity: ["Quantity", (o) => o.requiredFollowers],
+    price: ["Price (PKR)", (o) => o.price],
+    couponCode: ["Coupon", (o) => (o.coupon ? o.coupon.code : "")],
+    discount: ["Discount (PKR)", (o) => (o.coupon ? o.coupon.discount : 0)],
+    amountPaid: ["Amount Paid (PKR)", (o) => o.amountPaid || 0],
+    paymentStatus: ["Payment Status", (o) => o.paymentStatus || "Unpaid"],
+    status: ["Status", (o) => o.status],
+    profileLink: ["Profile Link", (o) => o.profileLink],
+    postLink: ["Post Link", (o) => o.postLink],
+    socialId: ["Social ID", (o) => o.socialId],
+  },
+  payments: {
+    id: ["Payment ID", (p) => p._id.toString()],
+    paymentDate: ["Payment Date", (p) => p.paymentDate],
+    orderId: ["Order ID", (p) => (p.orderId ? p.orderId.toString() : "")],
+    clientName: ["Client Name", (p) => p.clientName],
+    clientEmail: ["Client Email", (p) => p.clientEmail],
+    amount: ["Amount (PKR)", (p) => p.amount],
+    paymentMethod: ["Method", (p) => p.paymentMethod],
+    transactionId: ["Transaction ID", (p) => p.transactionId],
+    status: ["Status", (p) => p.status],
+    remarks: ["Remarks", (p) => p.remarks],
+    createdAt: ["Created At", (p) => p.createdAt],
+  },
+  refunds: {
+    id: ["Refund ID", (r) => r._id.toString()],
+    createdAt: ["Requested At", (r) => r.createdAt],
+    orderId: ["Order ID", (r) => (r.orderId ? r.orderId.toString() : "")],
+    userId: ["User ID", (r) => (r.userId ? r.userId.toString() : "")],
+    clientName: ["Client Name", (r) => r.clientName],
+    clientEmail: ["Client Email", (r) => r.clientEmail],
+    amount: ["Amount (PKR)", (r) => r.amount],
+    reason: ["Reason", (r) => r.reason],
+    status: ["Status", (r) => r.status],
+    adminRemarks: ["Admin Remarks", (r) => r.adminRemarks],
+    updatedAt: ["Updated At", (r) => r.updatedAt],
+  },
+};
+
+// ?columns=id,price,status -> selected column definitions (all columns by default)
+const parseColumns = (value, available) => {
+  const keys = value
+    ? String(value)
+        .split(",")
+        .map((key) => key.trim())
+        .filter(Boolean)
+    : Object.keys(available);
+  const unknown = keys.filter((key) => !available[key]);
+  if (unknown.length > 0) {
+    throw invalidQuery(
+      `Unknown columns: ${unknown.join(", ")}. Available: ${Object.keys(
+        available
+      ).join(", ")}.`
+    );
+  }
+  return keys.map((key) => ({
+    key,
+    header: available[key][0],
+    value: available[key][1],
+  }));
+};
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "number") return String(value);
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating user-supplied text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const setDownloadHeaders = (res, contentType, filename) => {
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+};
+
+// Waits until `res` can take more data. Resolves false when the client disconnected
+// instead, so an abandoned download never waits forever; rejects on a stream error.
+const waitForDrain = async (res) => {
+  if (res.destroyed) return false;
+  const controller = new AbortController();
+  try {
+    return await Promise.race([
+      once(res, "drain", { signal: controller.signal }).then(() => true),
+      once(res, "close", { signal: controller.signal }).then(() => false),
+    ]);
+  } finally {
+    controller.abort(); // Stop listening for whichever event did not happen
+  }
+};
+
+const closeCursor = (cursor) => cursor.close().catch(() => {});
+
+const streamCsv = async (res, cursor, columns, filename) => {
+  setDownloadHeaders(res, "text/csv; charset=utf-8", filename);
+  try {
+    // BOM so Excel opens the file as UTF-8
+    res.write(
+      "\uFEFF" + columns.map((c) => csvCell(c.header)).join(",") + "\r\n"
+    );
+    for await (const doc of cursor) {
+      const line = columns.map((c) => csvCell(c.value(doc))).join(",") + "\r\n";
+      if (!res.write(line) && !(await waitForDrain(res))) return;
+    }
+    res.end();
+  } finally {
+    await closeCursor(cursor);
+  }
+};
+
+const streamXlsx = async (res, cursor, columns, filename, sheetName) => {
+  setDownloadHeaders(
+    res,
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    filename
+  );
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((c) => ({
+    header: c.header,
+    key: c.key,
+    width: Math.max(12, c.header.length + 2),
+  }));
+  try {
+    for await (const doc of cursor) {
+      if (res.destroyed) return; // The client went away
+      sheet.addRow(columns.map((c) => c.value(doc) ?? null)).commit();
+      // The workbook writes into res through a zip stream; wait while res is backed up
+      // so rows don't pile up in memory
+      if (res.writableNeedDrain && !(await waitForDrain(res))) return;
+    }
+    sheet.commit();
+    await workbook.commit();
+  } finally {
+    await closeCursor(cursor);
+  }
+};
+
+// Streams `cursor` in the requested format ("csv" or "xlsx").
+const streamExport = (res, cursor, { format, columns, name }) => {
+  const filename = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  return format === "xlsx"
+    ? streamXlsx(res, cursor, columns, filename, name)
+    : streamCsv(res, cursor, columns, filename);
+};
+
+module.exports = { EXPORT_COLUMNS, parseColumns, streamExport };
@@ -0,0 +1,168 @@
+// utils/feeds.js
+// XML for the blog RSS/Atom feeds and the sitemap (see routes/feeds.js). Every value is
+// escaped here; callers pass plain strings and dates.
+const path = require("path");
+
+const SITE_NAME = process.env.SITE_NAME || "FollowersCart";
+
+const escapeXml = (value) =>
+  String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// CDATA section; "]]>" inside the text is split so it can't end the section early
+const cdata = (value) =>
+  `<![CDATA[${String(value || "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+const IMAGE_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+};
+
+// Absolute URL for a possibly relative one (e.g. a local upload), or "" if it is invalid
+const absoluteUrl = (url, base) => {
+  if (!url) return "";
+  try {
+    return new URL(url, base).href;
+  } catch (err) {
+    return "";
+  }
+};
+
+const imageType = (url) =>
+  IMAGE_TYPES[path.extname(new URL(url).pathname).toLowerCase()] ||
+  "image/jpeg";
+
+// posts: public BlogPost documents, newest first. Options:
+//   siteUrl  the client site (post links), feedUrl  this feed, apiUrl  base for relative images
+//   postUrl(post) -> absolute post link
+const buildRss = (posts, { siteUrl, feedUrl, apiUrl, postUrl }) => {
+  const items = posts.map((post) => {
+    const imageUrl = absoluteUrl(post.imageUrl, apiUrl);
+    return [
+      "    <item>",
+      `      <title>${escapeXml(post.title)}</title>`,
+      `      <link>${escapeXml(postUrl(post))}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(post._id)}</guid>`,
+      `      <pubDate>${new Date(post.publishAt).toUTCString()}</pubDate>`,
+      `      <dc:creator>${escapeXml(post.author)}</dc:creator>`,
+      ...(post.categories || []).map(
+        (category) => `      <category>${escapeXml(category)}</category>`
+      ),
+      `      <description>${escapeXml(post.snippet)}</description>`,
+      `      <content:encoded>${cdata(post.contentHtml)}</content:encoded>`,
+      ...(imageUrl
+        ? [
+            `      <enclosure url="${escapeXml(
+              imageUrl
+            )}" length="0" type="${imageType(imageUrl)}"/>`,
+          ]
+        : []),
+      "    </item>",
+    ].join("\n");
+  });
+  const lastBuild = posts.length > 0 ? posts[0].publishAt : new Date();
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "  <channel>",
+    `    <title>${escapeXml(`${SITE_NAME} Blog`)}</title>`,
+    `    <link>${escapeXml(siteUrl)}</link>`,
+    `    <description>${escapeXml(
+      `Latest posts from ${SITE_NAME}`
+    )}</description>`,
+    "    <language>en</language>",
+    `    <lastBuildDate>${new Date(lastBuild).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(
+      feedUrl
+    )}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+};
+
+// Same options as buildRss()
+const buildAtom = (posts, { siteUrl, feedUrl, apiUrl, postUrl }) => {
+  const entries = posts.map((post) => {
+    const imageUrl = absoluteUrl(post.imageUrl, apiUrl);
+    return [
+      "  <entry>",
+      `    <title>${escapeXml(post.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(
+        postUrl(post)
+      )}"/>`,
+      `    <id>urn:blogpost:${escapeXml(post._id)}</id>`,
+      `    <published>${new Date(post.publishAt).toISOString()}</published>`,
+      `    <updated>${new Date(post.updatedAt).toISOString()}</updated>`,
+      `    <author><name>${escapeXml(post.author)}</name></author>`,
+      ...(post.categories || []).map(
+        (category) => `    <category term="${escapeXml(category)}"/>`
+      ),
+      `    <summary>${escapeXml(post.snippet)}</summary>`,
+      `    <content type="html">${escapeXml(post.contentHtml)}</content>`,
+      ...(imageUrl
+        ? [
+            `    <link rel="enclosure" type="${imageType(
+              imageUrl
+            )}" href="${escapeXml(imageUrl)}"/>`,
+          ]
+        : []),
+      "  </entry>",
+    ].join("\n");
+  });
+  const updated = posts.reduce(
+    (latest, post) =>
+      new Date(post.updatedAt) > latest ? new Date(post.updatedAt) : latest,
+    posts.length > 0 ? new Date(0) : new Date()
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(`${SITE_NAME} Blog`)}</title>`,
+    `  <subtitle>${escapeXml(`Latest posts from ${SITE_NAME}`)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(
+      feedUrl
+    )}"/>`,
+    `  <id>${escapeXml(feedUrl)}</id>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+};
+
+// urls: [{ loc, lastmod?, changefreq?, priority? }]
+const buildSitemap = (urls) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map(({ loc, lastmod, changefreq, priority }) =>
+      [
+        "  <url>",
+        `    <loc>${escapeXml(loc)}</loc>`,
+        ...(lastmod
+          ? [`    <lastmod>${new Date(lastmod).toISOString()}</lastmod>`]
+          : []),
+        ...(changefreq
+          ? [`    <changefreq>${escapeXml(changefreq)}</changefreq>`]
+          : []),
+        ...(priority !== undefined
+          ? [`    <priority>${Number(priority).toFixed(1)}</priority>`]
+          : []),
+        "  </url>",
+      ].join("\n")
+    ),
+    "</urlset>",
+    "",
+  ].join("\n");
+
+module.exports = { escapeXml, buildRss, buildAtom, buildSitemap };
@@ -0,0 +1,203 @@
+// utils/listFilters.js
+// Query-string filters and sorting shared by the admin listings and the exports, so
+// /allOrders and /export/orders (etc.) accept exactly the same parameters.
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Order = require("../models/order");
+const Payment = require("../models/Payment");
+const Refund = require("../models/Refund");
+const Coupon = require("../models/Coupon");
+const BlogPost = require("../models/BlogPost");
+const Comment = require("../models/Comment");
+const {
+  invalidQuery,
+  parseSort,
+  parseEnum,
+  parseDateRange,
+  parseNumberRange,
+  parseBoolean,
+  compactFilter,
+} = require("./pagination");
+
+const parseEmail = (value) =>
+  value ? String(value).trim().toLowerCase() : undefined;
+
+const parseObjectId = (value, label) => {
+  if (!value) return undefined;
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw invalidQuery(`Invalid ${label} ID format.`);
+  }
+  return value;
+};
+
+// Orders: status, platform, service (comma-separated for several), email,
+// from/to (order date), minPrice/maxPrice, paymentStatus; sort createdAt, price, requiredFollowers, status
+const buildOrderQuery = (query) => ({
+  filter: compactFilter({
+    status: parseEnum(query.status, Order.ORDER_STATUSES, "status"),
+    platform: parseEnum(
+      query.platform,
+      Order.schema.path("platform").enumValues,
+      "platform"
+    ),
+    service: parseEnum(
+      query.service,
+      Order.schema.path("service").enumValues,
+      "service"
+    ),
+    email: parseEmail(query.email),
+    createdAt: parseDateRange(query.from, query.to, "order"),
+    price: parseNumberRange(query.minPrice, query.maxPrice, "price"),
+    paymentStatus: parseEnum(
+      query.paymentStatus,
+      Order.PAYMENT_STATUSES,
+      "payment status"
+    ),
+  }),
+  sort: parseSort(
+    query.sort,
+    ["createdAt", "price", "requiredFollowers", "status"],
+    "-createdAt"
+  ),
+});
+
+// Payments: status, method, from/to (payment date); sort paymentDate, amount, createdAt
+const buildPaymentQuery = (query) => ({
+  filter: compactFilter({
+    status: parseEnum(
+      query.status,
+      Payment.schema.path("status").enumValues,
+      "status"
+    ),
+    paymentMethod: parseEnum(
+      query.method,
+      Payment.schema.path("paymentMethod").enumValues,
+      "payment method"
+    ),
+    paymentDate: parseDateRange(query.from, query.to, "payment"),
+  }),
+  sort: parseSort(
+    query.sort,
+    ["paymentDate", "amount", "createdAt"],
+    "-paymentDate"
+  ),
+});
+
+// Refunds: status, orderId, userId, email, from/to (request date); sort createdAt, amount
+const buildRefundQuery = (query) => ({
+  filter: compactFilter({
+    status: parseEnum(
+      query.status,
+      Refund.schema.path("status").enumValues,
+      "status"
+    ),
+    orderId: parseObjectId(query.orderId, "order"),
+    userId: parseObjectId(query.userId, "user"),
+    clientEmail: query.email ? String(query.email).trim() : undefined,
+    createdAt: parseDateRange(query.from, query.to, "refund"),
+  }),
+  sort: parseSort(query.sort, ["createdAt", "amount"], "-createdAt"),
+});
+
+// Users: role, isBanned; sort createdAt, name, email
+const buildUserQuery = (query) => ({
+  filter: compactFilter({
+    role: parseEnum(query.role, User.schema.path("role").enumValues, "role"),
+    isBanned: parseBoolean(query.isBanned, "isBanned"),
+  }),
+  sort: parseSort(query.sort, ["createdAt", "name", "email"], "-createdAt"),
+});
+
+// Audit log: entityType, entityId, actor (user ID), action (comma-separated for several),
+// from/to (action date); newest first
+const buildAuditLogQuery = (query) => ({
+  filter: compactFilter({
+    entityType: query.entityType ? String(query.entityType) : undefined,
+    entityId: parseObjectId(query.entityId, "entity"),
+    actor: parseObjectId(query.actor, "actor"),
+    action: query.action
+      ? {
+          $in: String(query.action)
+            .split(",")
+            .map((a) => a.trim()),
+        }
+      : undefined,
+    createdAt: parseDateRange(query.from, query.to, "audit"),
+  }),
+  sort: parseSort(query.sort, ["createdAt"], "-createdAt"),
+});
+
+// Coupons: isActive, discountType, platform, service, code (prefix); sort createdAt, code,
+// usedCount, expiresAt
+const buildCouponQuery = (query) => ({
+  filter: compactFilter({
+    isActive: parseBoolean(query.isActive, "isActive"),
+    discountType: parseEnum(
+      query.discountType,
+      Coupon.schema.path("discountType").enumValues,
+      "discount type"
+    ),
+    platforms: parseEnum(
+      query.platform,
+      Order.schema.path("platform").enumValues,
+      "platform"
+    ),
+    services: parseEnum(
+      query.service,
+      Order.schema.path("service").enumValues,
+      "service"
+    ),
+    code: query.code
+      ? {
+          $regex: `^${String(query.code)
+            .trim()
+            .toUpperCase()
+            .replace(/[^A-Z0-9_-]/g, "")}`,
+        }
+      : undefined,
+  }),
+  sort: parseSort(
+    query.sort,
+    ["createdAt", "code", "usedCount", "expiresAt"],
+    "-createdAt"
+  ),
+});
+
+// Blog posts (admin listing): status, tag, category, from/to (publish date);
+// sort publishAt, createdAt, updatedAt, title
+const buildBlogPostQuery = (query) => ({
+  filter: compactFilter({
+    status: parseEnum(query.status, BlogPost.POST_STATUSES, "status"),
+    tags: query.tag ? String(query.tag).trim().toLowerCase() : undefined,
+    categories: query.category ? String(query.category).trim() : undefined,
+    publishAt: parseDateRange(query.from, query.to, "publish"),
+  }),
+  sort: parseSort(
+    query.sort,
+    ["publishAt", "createdAt", "updatedAt", "title"],
+    "-createdAt"
+  ),
+});
+
+// Blog comments: status, postId, userId, ip, from/to (comment date); sort createdAt
+const buildCommentQuery = (query) => ({
+  filter: compactFilter({
+    status: parseEnum(query.status, Comment.COMMENT_STATUSES, "status"),
+    post: parseObjectId(query.postId, "blog post"),
+    user: parseObjectId(query.userId, "user"),
+    ipAddress: query.ip ? String(query.ip).trim() : undefined,
+    createdAt: parseDateRange(query.from, query.to, "comment"),
+  }),
+  sort: parseSort(query.sort, ["createdAt"], "createdAt"),
+});
+
+module.exports = {
+  buildOrderQuery,
+  buildPaymentQuery,
+  buildRefundQuery,
+  buildUserQuery,
+  buildAuditLogQuery,
+  buildCouponQuery,
+  buildBlogPostQuery,
+  buildCommentQuery,
+};
@@ -0,0 +1,118 @@
+// utils/loginThrottle.js
+const LoginAttempt = require("../models/LoginAttempt");
+
+const FAILURE_WINDOW_MS = 15 * 60 * 1000; // Failures older than this are forgotten
+const BASE_LOCK_MS = 15 * 60 * 1000; // First lockout: 15 minutes, then 30, 60, ...
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+const LOCK_HISTORY_MS = 24 * 60 * 60 * 1000; // How long lockCount is remembered
+
+const LIMITS = {
+  account: Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES || 5),
+  ip: Number(process.env.LOGIN_MAX_IP_FAILURES || 20),
+};
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Returns the latest lockedUntil among the keys, or null if none is locked
+const getLockedUntil = async (keys) => {
+  const locked = await LoginAttempt.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date() },
+  }).sort({ lockedUntil: -1 });
+  return locked.length > 0 ? locked[0].lockedUntil : null;
+};
+
+// Counts a failed attempt for a key and locks it once the limit is reached.
+// Returns { locked, lockedUntil } where locked is true only for a new lockout.
+// Both steps are single atomic updates, so concurrent failures can't lose a count.
+const recordFailure = async (key, limit) => {
+  const now = new Date();
+  const windowExpired = {
+    $gt: [
+      { $subtract: [now, { $ifNull: ["$windowStartedAt", now] }] },
+      FAILURE_WINDOW_MS,
+    ],
+  };
+  // Start a new window when the last one is over, then count this failure
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          failures: {
+            $cond: [
+              windowExpired,
+              1,
+              { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+            ],
+          },
+          windowStartedAt: {
+            $cond: [windowExpired, now, { $ifNull: ["$windowStartedAt", now] }],
+          },
+          lockedUntil: { $ifNull: ["$lockedUntil", null] },
+          lockCount: { $ifNull: ["$lockCount", 0] },
+          expiresAt: {
+            $max: [
+              new Date(now.getTime() + LOCK_HISTORY_MS),
+              { $ifNull: ["$expiresAt", now] },
+            ],
+          },
+        },
+      },
+    ],
+    { upsert: true, new: true }
+  );
+  if (attempt.failures < limit) {
+    return { locked: false, lockedUntil: attempt.lockedUntil };
+  }
+
+  // Only the request that takes the count over the limit locks the key (the lock resets
+  // the count, so a concurrent one no longer matches)
+  const lockMs = Math.min(BASE_LOCK_MS * 2 ** attempt.lockCount, MAX_LOCK_MS);
+  const lockedUntil = new Date(now.getTime() + lockMs);
+  const lock = await LoginAttempt.updateOne(
+    { key, failures: { $gte: limit } },
+    {
+      $set: {
+        failures: 0,
+        lockedUntil,
+        expiresAt: new Date(
+          Math.max(now.getTime() + LOCK_HISTORY_MS, lockedUntil.getTime())
+        ),
+      },
+      $inc: { lockCount: 1 },
+    }
+  );
+  return lock.modifiedCount === 1
+    ? { locked: true, lockedUntil }
+    : { locked: false, lockedUntil: attempt.lockedUntil };
+};
+
+// Records a failed login for both the account and the client IP
+const recordLoginFailure = async (email, ip) => {
+  const [account] = await Promise.all([
+    recordFailure(accountKey(email), LIMITS.account),
+    recordFailure(ipKey(ip), LIMITS.ip),
+  ]);
+  return { accountLocked: account.locked, lockedUntil: account.lockedUntil };
+};
+
+// A successful login clears the account's counters (the IP counter is kept,
+// so one valid account can't be used to reset an attacker's IP budget)
+const recordLoginSuccess = (email) =>
+  LoginAttempt.deleteOne({ key: accountKey(email) });
+
+const getLoginLockedUntil = (email, ip) =>
+  getLockedUntil([accountKey(email), ipKey(ip)]);
+
+// Admin unlock: forgets every failure and lockout for the account
+const unlockAccount = (email) =>
+  LoginAttempt.deleteOne({ key: accountKey(email) });
+
+module.exports = {
+  getLoginLockedUntil,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+};
@@ -0,0 +1,59 @@
+// utils/mailer.js
+const { renderEmail } = require("./emailTemplates");
+const { enqueueEmail } = require("./emailQueue");
+
+// Builds the sendEmail helper around the Nodemailer 'transporter' configured in server.js.
+// Route modules call this once and share the returned function.
+// Emails are written to the outbox and delivered by the background worker, so a slow
+// SMTP server never blocks a request. `textContent` is the optional plain-text alternative;
+// `options.dedupeKey` stops the same email from being queued twice, and `options.sensitive`
+// marks emails with single-use links, whose body is dropped from the outbox once sent.
+const createSendEmail =
+  (transporter) =>
+  async (to, subject, htmlContent, textContent, options = {}) => {
+    if (!transporter) {
+      console.warn("Nodemailer transporter is not configured. Email not sent.");
+      return { success: false, error: "Email transporter not available." };
+    }
+    try {
+      const { email, duplicate } = await enqueueEmail({
+        to,
+        subject,
+        html: htmlContent,
+        text: textContent,
+        template: options.template,
+        dedupeKey: options.dedupeKey,
+        sensitive: options.sensitive,
+      });
+      if (duplicate) {
+        console.log("Email already queued: %s", options.dedupeKey);
+      } else {
+        console.log("Email queued: %s", email._id);
+      }
+      return { success: true, queued: true, outboxId: email._id, duplicate };
+    } catch (error) {
+      console.error("Error queueing email:", error);
+      return { success: false, error: error.message };
+    }
+  };
+
+// Builds a helper that renders a named template (see utils/emailTemplates.js) and queues it.
+// Rendering errors are reported the same way as sending errors.
+const createSendTemplatedEmail = (transporter) => {
+  const sendEmail = createSendEmail(transporter);
+  return async (to, templateName, data, options = {}) => {
+    let rendered;
+    try {
+      rendered = renderEmail(templateName, data);
+    } catch (error) {
+      console.error(`Error rendering email template '${templateName}':`, error);
+      return { success: false, error: error.message };
+    }
+    return sendEmail(to, rendered.subject, rendered.html, rendered.text, {
+      ...options,
+      template: templateName,
+    });
+  };
+};
+
+module.exports = { createSendEmail, createSendTemplatedEmail };
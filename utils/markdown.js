@@ -0,0 +1,80 @@
+// utils/markdown.js
+// Markdown rendering for blog posts. Authors write Markdown (which may contain HTML);
+// the rendered HTML is sanitized so scripts, event handlers and javascript: links never
+// reach readers.
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+const markdown = new Marked({ gfm: true, breaks: false });
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "del"],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title", "width", "height", "loading"],
+    code: ["class"],
+    th: ["align", "colspan", "rowspan"],
+    td: ["align", "colspan", "rowspan"],
+    ol: ["start"],
+  },
+  allowedClasses: { code: ["language-*"] },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  transformTags: {
+    // Links to other sites open in a new tab without passing on ranking or the opener
+    a: (tagName, attribs) =>
+      /^https?:\/\//i.test(attribs.href || "")
+        ? {
+            tagName,
+            attribs: {
+              ...attribs,
+              target: "_blank",
+              rel: "noopener noreferrer nofollow",
+            },
+          }
+        : { tagName, attribs },
+    img: (tagName, attribs) => ({
+      tagName,
+      attribs: { ...attribs, loading: "lazy" },
+    }),
+  },
+};
+
+// Markdown source -> sanitized HTML
+const renderMarkdown = (source) =>
+  sanitizeHtml(markdown.parse(String(source || "")), SANITIZE_OPTIONS);
+
+// Markdown source -> plain text (no markup, entities decoded, whitespace collapsed),
+// for snippets, reading time and feeds
+const toPlainText = (source) =>
+  sanitizeHtml(
+    // Keep words in separate blocks apart once the tags are gone
+    markdown
+      .parse(String(source || ""))
+      .replace(
+        /<\/(p|h[1-6]|li|blockquote|pre|div|td|th)>|<br\s*\/?>/gi,
+        "$& "
+      ),
+    { allowedTags: [], allowedAttributes: {} }
+  )
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// First `length` characters of plain text, cut at a word boundary
+const truncateText = (text, length) => {
+  if (text.length <= length) return text;
+  const cut = text.substring(0, length);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > length / 2
+    ? cut.substring(0, lastSpace)
+    : cut
+  ).replace(/[\s.,;:!?-]+$/, "")}...`;
+};
+
+module.exports = { renderMarkdown, toPlainText, truncateText };
@@ -0,0 +1,152 @@
+// utils/pagination.js
+// Helpers for the admin listing routes: page/limit, sort and filter parsing plus a
+// paginate() that returns the page of documents together with the total count.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Errors thrown here are answered with 400 by the routes (err.name check)
+const invalidQuery = (message) => {
+  const err = new Error(message);
+  err.name = "InvalidQueryError";
+  return err;
+};
+
+// ?page=2&limit=50 -> { page, limit, skip }
+const parsePagination = (query) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1) {
+    throw invalidQuery("page must be a positive integer.");
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw invalidQuery(`limit must be an integer between 1 and ${MAX_LIMIT}.`);
+  }
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// ?sort=-createdAt or ?sort=price (ascending). Only whitelisted fields can be used;
+// _id is added as a tie-breaker so pages stay stable.
+const parseSort = (value, allowedFields, defaultSort) => {
+  // A repeated ?sort=a&sort=b arrives as an array
+  if (value !== undefined && typeof value !== "string") {
+    throw invalidQuery("sort must be a single field.");
+  }
+  const sort = value || defaultSort;
+  const descending = sort.startsWith("-");
+  const field = descending ? sort.slice(1) : sort;
+  if (!allowedFields.includes(field)) {
+    throw invalidQuery(
+      `Cannot sort by '${field}'. Allowed: ${allowedFields.join(", ")}.`
+    );
+  }
+  const direction = descending ? -1 : 1;
+  return field === "_id"
+    ? { _id: direction }
+    : { [field]: direction, _id: direction };
+};
+
+// ?status=Pending or ?status=Pending,Failed -> "Pending" or { $in: [...] }
+const parseEnum = (value, allowedValues, label) => {
+  if (value === undefined || value === "") return undefined;
+  const values = String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+  const invalid = values.filter((v) => !allowedValues.includes(v));
+  if (invalid.length > 0) {
+    throw invalidQuery(
+      `Invalid ${label}: ${invalid.join(", ")}. Allowed: ${allowedValues.join(
+        ", "
+      )}.`
+    );
+  }
+  return values.length === 1 ? values[0] : { $in: values };
+};
+
+// ?from=2024-01-01&to=2024-01-31 -> { $gte, $lte }. A date-only `to` includes the whole day.
+const parseDateRange = (from, to, label) => {
+  const range = {};
+  if (from) {
+    const date = new Date(from);
+    if (isNaN(date)) throw invalidQuery(`Invalid ${label} start date.`);
+    range.$gte = date;
+  }
+  if (to) {
+    const date = new Date(to);
+    if (isNaN(date)) throw invalidQuery(`Invalid ${label} end date.`);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+    range.$lte = date;
+  }
+  return Object.keys(range).length > 0 ? range : undefined;
+};
+
+// ?minPrice=100&maxPrice=500 -> { $gte, $lte }
+const parseNumberRange = (min, max, label) => {
+  const range = {};
+  if (min !== undefined && min !== "") {
+    if (isNaN(Number(min))) throw invalidQuery(`Invalid minimum ${label}.`);
+    range.$gte = Number(min);
+  }
+  if (max !== undefined && max !== "") {
+    if (isNaN(Number(max))) throw invalidQuery(`Invalid maximum ${label}.`);
+    range.$lte = Number(max);
+  }
+  return Object.keys(range).length > 0 ? range : undefined;
+};
+
+// ?isBanned=true -> true
+const parseBoolean = (value, label) => {
+  if (value === undefined || value === "") return undefined;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  throw invalidQuery(`${label} must be 'true' or 'false'.`);
+};
+
+// Drops undefined entries so unused filters don't end up in the query
+const compactFilter = (filter) =>
+  Object.fromEntries(
+    Object.entries(filter).filter(([, value]) => value !== undefined)
+  );
+
+// Runs the find and the count together. `configure` can add populate/select to the query.
+// Returns { docs, pagination }.
+const paginate = async (
+  Model,
+  filter,
+  { page, limit, skip, sort },
+  configure
+) => {
+  let query = Model.find(filter).sort(sort).skip(skip).limit(limit);
+  if (configure) query = configure(query);
+  const [docs, total] = await Promise.all([
+    query,
+    Model.countDocuments(filter),
+  ]);
+  const totalPages = Math.ceil(total / limit);
+  return {
+    docs,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+};
+
+module.exports = {
+  invalidQuery,
+  parsePagination,
+  parseSort,
+  parseEnum,
+  parseDateRange,
+  parseNumberRange,
+  parseBoolean,
+  compactFilter,
+  paginate,
+};
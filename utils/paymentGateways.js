@@ -0,0 +1,297 @@
+// utils/paymentGateways.js
+// Payment gateway adapters. Manual methods (screenshot + admin approval) keep going through
+// /createPayment and /submitPayment; payments started here are settled by the gateway's
+// webhook (see routes/paymentGateways.js). Every adapter implements:
+//   initiate({ payment, order }) -> { reference, redirectUrl, amount, currency }
+//   verifyWebhook(req) -> event, or null when the signature does not verify
+//     event: { id, reference, status, amount, currency, transactionId }
+//   queryStatus(reference) -> { status, amount, currency, transactionId }
+// `status` is "Approved", "Rejected" or "Pending", like Payment.status.
+// PAYMENT_GATEWAYS lists the enabled adapters (default "paypal"). "fake" is an offline
+// adapter for development and tests.
+const crypto = require("crypto");
+const { buildClientUrl } = require("./tokens");
+
+// Client pages the buyer returns to after paying or cancelling
+const GATEWAY_RETURN_PATH =
+  process.env.GATEWAY_RETURN_PATH || "/payment/complete";
+const GATEWAY_CANCEL_PATH =
+  process.env.GATEWAY_CANCEL_PATH || "/payment/cancelled";
+
+// Methods that only exist as gateways and can't be submitted manually
+const GATEWAY_ONLY_METHODS = ["fakeGateway"];
+
+const roundAmount = (amount) => Math.round(Number(amount) * 100) / 100;
+
+// PayPal Checkout (Orders v2). Orders are priced in PKR, which PayPal does not support, so
+// amounts are converted to PAYPAL_CURRENCY at PAYPAL_PKR_RATE (PKR per unit of that currency).
+const createPaypalGateway = ({
+  clientId = process.env.PAYPAL_CLIENT_ID,
+  clientSecret = process.env.PAYPAL_CLIENT_SECRET,
+  webhookId = process.env.PAYPAL_WEBHOOK_ID,
+  apiBase = process.env.PAYPAL_API_BASE || "https://api-m.sandbox.paypal.com",
+  currency = process.env.PAYPAL_CURRENCY || "USD",
+  pkrRate = Number(process.env.PAYPAL_PKR_RATE),
+} = {}) => {
+  let accessToken = null;
+  let accessTokenExpiresAt = 0;
+
+  const getAccessToken = async () => {
+    if (accessToken && Date.now() < accessTokenExpiresAt) return accessToken;
+    if (!clientId || !clientSecret) {
+      throw new Error("PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET must be set.");
+    }
+    const response = await fetch(`${apiBase}/v1/oauth2/token`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from(
+          `${clientId}:${clientSecret}`
+        ).toString("base64")}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: "grant_type=client_credentials",
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(
+        `PayPal authentication failed: ${data.error_description}`
+      );
+    }
+    accessToken = data.access_token;
+    // Refresh a minute before PayPal expires the token
+    accessTokenExpiresAt = Date.now() + (data.expires_in - 60) * 1000;
+    return accessToken;
+  };
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(`${apiBase}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${await getAccessToken()}`,
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(
+        `PayPal ${method} ${path} failed: ${data.message || response.status}`
+      );
+    }
+    return data;
+  };
+
+  const toGatewayAmount = (pkr) => {
+    if (currency === "PKR") return roundAmount(pkr);
+    if (!pkrRate || pkrRate <= 0) {
+      throw new Error(`PAYPAL_PKR_RATE must be set to charge in ${currency}.`);
+    }
+    return roundAmount(pkr / pkrRate);
+  };
+
+  const CAPTURE_STATUSES = {
+    COMPLETED: "Approved",
+    DECLINED: "Rejected",
+    FAILED: "Rejected",
+  };
+
+  // Result for a capture object from an order or a PAYMENT.CAPTURE.* event
+  const captureResult = (capture) => ({
+    status: CAPTURE_STATUSES[capture.status] || "Pending",
+    amount: roundAmount(capture.amount.value),
+    currency: capture.amount.currency_code,
+    transactionId: capture.id,
+  });
+
+  return {
+    paymentMethod: "paypal",
+    initiate: async ({ payment }) => {
+      const amount = toGatewayAmount(payment.amount);
+      const order = await request(
+        "POST",
+        "/v2/checkout/orders",
+        {
+          intent: "CAPTURE",
+          purchase_units: [
+            {
+              reference_id: payment.orderId.toString(),
+              custom_id: payment._id.toString(),
+              amount: { currency_code: currency, value: amount.toFixed(2) },
+            },
+          ],
+          application_context: {
+            return_url: buildClientUrl(GATEWAY_RETURN_PATH),
+            cancel_url: buildClientUrl(GATEWAY_CANCEL_PATH),
+            user_action: "PAY_NOW",
+          },
+        },
+        { "PayPal-Request-Id": payment._id.toString() }
+      );
+      const approveLink = order.links.find(
+        (link) => link.rel === "approve" || link.rel === "payer-action"
+      );
+      return {
+        reference: order.id,
+        redirectUrl: approveLink ? approveLink.href : "",
+        amount,
+        currency,
+      };
+    },
+    // PayPal checks the transmission signature against the configured webhook. The event is
+    // sent back exactly as received (from the raw body), since re-serializing it can change
+    // the bytes the signature covers.
+    verifyWebhook: async (req) => {
+      if (!webhookId) throw new Error("PAYPAL_WEBHOOK_ID must be set.");
+      if (!req.rawBody) return null;
+      const verification = await request(
+        "POST",
+        "/v1/notifications/verify-webhook-signature",
+        {
+          auth_algo: req.headers["paypal-auth-algo"],
+          cert_url: req.headers["paypal-cert-url"],
+          transmission_id: req.headers["paypal-transmission-id"],
+          transmission_sig: req.headers["paypal-transmission-sig"],
+          transmission_time: req.headers["paypal-transmission-time"],
+          webhook_id: webhookId,
+          webhook_event: JSON.parse(req.rawBody),
+        }
+      );
+      if (verification.verification_status !== "SUCCESS") return null;
+
+      const { id, event_type: type, resource = {} } = req.body;
+      if (type && type.startsWith("PAYMENT.CAPTURE.")) {
+        const relatedIds =
+          (resource.supplementary_data || {}).related_ids || {};
+        return {
+          id,
+          reference: relatedIds.order_id,
+          ...captureResult(resource),
+        };
+      }
+      // e.g. CHECKOUT.ORDER.APPROVED: the buyer approved but nothing is captured yet
+      return { id, reference: resource.id, status: "Pending" };
+    },
+    // Captures an approved checkout, so the buyer's approval completes the payment even
+    // when the webhook for it is missed
+    queryStatus: async (reference) => {
+      let order = await request("GET", `/v2/checkout/orders/${reference}`);
+      if (order.status === "APPROVED") {
+        order = await request(
+          "POST",
+          `/v2/checkout/orders/${reference}/capture`,
+          null,
+          { "PayPal-Request-Id": `capture-${reference}` }
+        );
+      }
+      if (order.status === "VOIDED") return { status: "Rejected" };
+      const captures =
+        (((order.purchase_units || [])[0] || {}).payments || {}).captures || [];
+      return captures.length > 0
+        ? captureResult(captures[0])
+        : { status: "Pending" };
+    },
+  };
+};
+
+// Offline gateway that behaves like a real one: checkouts are kept in memory and webhooks
+// are JSON bodies signed with HMAC-SHA256 (hex, `x-fake-signature` header):
+//   { id, reference, status: "completed"|"failed", amount, currency, transactionId }
+// sign(rawBody) produces the signature, e.g. to send a webhook from a test. There is no
+// default secret: with a known one anybody could approve payments.
+const createFakeGateway = ({
+  secret = process.env.FAKE_GATEWAY_SECRET,
+} = {}) => {
+  if (!secret) {
+    throw new Error("FAKE_GATEWAY_SECRET must be set to use the fake gateway.");
+  }
+  const checkouts = new Map();
+  const sign = (rawBody) =>
+    crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+  const EVENT_STATUSES = { completed: "Approved", failed: "Rejected" };
+
+  return {
+    paymentMethod: "fakeGateway",
+    sign,
+    initiate: async ({ payment }) => {
+      const reference = `FAKE-${crypto.randomUUID()}`;
+      const amount = roundAmount(payment.amount);
+      checkouts.set(reference, { status: "Pending", amount, currency: "PKR" });
+      return {
+        reference,
+        redirectUrl: buildClientUrl(`${GATEWAY_RETURN_PATH}?fake=${reference}`),
+        amount,
+        currency: "PKR",
+      };
+    },
+    verifyWebhook: async (req) => {
+      const signature = Buffer.from(
+        String(req.headers["x-fake-signature"] || ""),
+        "hex"
+      );
+      const expected = Buffer.from(sign(req.rawBody || ""), "hex");
+      if (
+        signature.length !== expected.length ||
+        !crypto.timingSafeEqual(signature, expected)
+      ) {
+        return null;
+      }
+      const { id, reference, status, amount, currency, transactionId } =
+        req.body;
+      const event = {
+        id,
+        reference,
+        status: EVENT_STATUSES[status] || "Pending",
+        amount: roundAmount(amount),
+        currency,
+        transactionId,
+      };
+      if (checkouts.has(reference)) {
+        checkouts.set(reference, {
+          status: event.status,
+          amount: event.amount,
+          currency,
+          transactionId,
+        });
+      }
+      return event;
+    },
+    queryStatus: async (reference) =>
+      checkouts.get(reference) || { status: "Pending" },
+  };
+};
+
+const FACTORIES = {
+  paypal: createPaypalGateway,
+  fake: createFakeGateway,
+};
+
+const gateways = new Map();
+
+// Names of the enabled gateways (PAYMENT_GATEWAYS, comma separated)
+const listGateways = () =>
+  (process.env.PAYMENT_GATEWAYS || "paypal")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => FACTORIES[name] || gateways.has(name));
+
+// The adapter for an enabled gateway, or null
+const getGateway = (name) => {
+  if (!listGateways().includes(name)) return null;
+  if (!gateways.has(name)) gateways.set(name, FACTORIES[name]());
+  return gateways.get(name);
+};
+
+// Replaces an adapter, e.g. with a createFakeGateway() whose signer a test holds
+const setGateway = (name, adapter) => {
+  gateways.set(name, adapter);
+};
+
+module.exports = {
+  createPaypalGateway,
+  createFakeGateway,
+  listGateways,
+  getGateway,
+  setGateway,
+  GATEWAY_ONLY_METHODS,
+};
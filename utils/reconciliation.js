@@ -0,0 +1,108 @@
+// utils/reconciliation.js
+const mongoose = require("mongoose");
+const Payment = require("../models/Payment");
+const Order = require("../models/order");
+const { snapshot, recordAudit } = require("./audit");
+
+// Total of the approved payments of an order
+const getApprovedTotal = async (orderId) => {
+  const [result] = await Payment.aggregate([
+    {
+      $match: {
+        orderId: new mongoose.Types.ObjectId(orderId.toString()),
+        status: "Approved",
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+  return result ? result.total : 0;
+};
+
+// Updates amountPaid/paymentStatus on an order document from its approved payments.
+// The caller saves the order.
+const reconcileOrder = async (order) =>
+  order.applyApprovedTotal(await getApprovedTotal(order._id));
+
+// Called after a payment was approved or rejected (by an admin or a payment gateway).
+// Re-totals the order's approved payments, then moves the order along: an approved
+// payment starts the order ("In Progress") once it is fully paid, or when the admin
+// overrides the balance; a rejected payment puts an order that was awaiting payment
+// review back to "Pending". The order status transition table decides whether the
+// move is allowed from the order's current status.
+// Returns the reconciliation summary, or null when the order no longer exists.
+const settleOrderPayment = async (
+  req,
+  payment,
+  { overrideBalance = false } = {}
+) => {
+  const order = await Order.findById(payment.orderId);
+  if (!order) {
+    console.warn(
+      `Associated order ${payment.orderId} not found for payment ${payment._id}.`
+    );
+    return null;
+  }
+
+  const orderBefore = snapshot(order);
+  await reconcileOrder(order);
+  const reconciliation = {
+    orderStatus: order.status,
+    paymentStatus: order.paymentStatus,
+    amountPaid: order.amountPaid,
+    outstandingBalance: order.outstandingBalance,
+  };
+
+  const nextOrderStatus =
+    payment.status === "Approved"
+      ? "In Progress"
+      : payment.status === "Rejected"
+      ? "Pending"
+      : null;
+  const canMove =
+    nextOrderStatus &&
+    (nextOrderStatus === "In Progress" || order.status === "Payment Pending") &&
+    order.canTransitionTo(nextOrderStatus);
+  const blockedByBalance =
+    canMove &&
+    order.getBalanceBlockReason(nextOrderStatus, { overrideBalance }) !== null;
+
+  if (canMove && !blockedByBalance) {
+    order.transitionTo(nextOrderStatus, {
+      actor: req.user ? req.user._id : null,
+      note:
+        `Payment ${payment._id} ${payment.status.toLowerCase()}` +
+        (nextOrderStatus === "In Progress" && order.outstandingBalance > 0
+          ? ` (started with PKR ${order.outstandingBalance} outstanding)`
+          : ""),
+    });
+    console.log(
+      `Order ${
+        payment.orderId
+      } status updated to '${nextOrderStatus}' due to payment ${payment.status.toLowerCase()}.`
+    );
+  } else if (blockedByBalance) {
+    reconciliation.msg = `Order is underpaid by PKR ${order.outstandingBalance} and stays '${order.status}'. Send overrideBalance: true to start it anyway.`;
+    console.log(
+      `Order ${payment.orderId} is underpaid, not changing to 'In Progress'.`
+    );
+  } else if (nextOrderStatus) {
+    console.log(
+      `Order ${payment.orderId} status is ${order.status}, not changing to '${nextOrderStatus}'.`
+    );
+  }
+
+  if (order.isModified()) {
+    await order.save();
+    await recordAudit(req, {
+      action: "order.update",
+      entityType: "Order",
+      entityId: order._id,
+      before: orderBefore,
+      after: order,
+    });
+  }
+  reconciliation.orderStatus = order.status;
+  return reconciliation;
+};
+
+module.exports = { getApprovedTotal, reconcileOrder, settleOrderPayment };
@@ -0,0 +1,153 @@
+// utils/sessions.js
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const { generateToken, hashToken } = require("./tokens");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "1h";
+const REFRESH_TOKEN_TTL_MS =
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+const MAX_DEVICE_FIELD_LENGTH = 200;
+
+// Device details come from the client: store them as bounded strings, whatever was sent
+const deviceField = (value) =>
+  typeof value === "string"
+    ? value.trim().slice(0, MAX_DEVICE_FIELD_LENGTH)
+    : "";
+
+// Short-lived JWT checked by middleware/auth.js. `tv` (token version) lets us invalidate
+// every outstanding access token of a user by bumping User.tokenVersion.
+const signAccessToken = (user) =>
+  jwt.sign(
+    { id: user._id, role: user.role, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const createRefreshToken = async (
+  userId,
+  device,
+  refreshToken = generateToken()
+) => {
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    deviceId: deviceField(device.deviceId) || "unknown",
+    deviceName: deviceField(device.deviceName),
+    userAgent: deviceField(device.userAgent),
+    ip: deviceField(device.ip),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  return refreshToken;
+};
+
+// Starts a session on a device after a successful login. An existing session on the
+// same device is replaced. Returns { token, refreshToken }.
+const issueSession = async (user, device = {}) => {
+  await RefreshToken.updateMany(
+    {
+      userId: user._id,
+      deviceId: deviceField(device.deviceId) || "unknown",
+      revokedAt: null,
+    },
+    { $set: { revokedAt: new Date() } }
+  );
+  const refreshToken = await createRefreshToken(user._id, device);
+  return { token: signAccessToken(user), refreshToken };
+};
+
+// Revokes every refresh token of a user and invalidates their access tokens.
+const revokeAllSessions = async (userId) => {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
+// Exchanges a refresh token for a new access token and a new refresh token.
+// Returns { user, token, refreshToken } or { error, status } when refused.
+// Presenting an already rotated token means it was stolen or replayed, so all of the
+// user's sessions are revoked.
+const rotateRefreshToken = async (refreshToken, device = {}) => {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateToken();
+  const now = new Date();
+  // Claim the token before issuing a new one, so of two concurrent refreshes with the
+  // same token only one succeeds; the other sees a rotated token and counts as reuse
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        revokedAt: now,
+        lastUsedAt: now,
+        replacedByHash: hashToken(newRefreshToken),
+      },
+    },
+    { new: true }
+  );
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (!existing || existing.expiresAt <= now) {
+      return { status: 401, error: "Invalid or expired refresh token." };
+    }
+    if (existing.replacedByHash) {
+      console.warn(
+        `Refresh token reuse detected for user ${existing.userId}. Revoking all sessions.`
+      );
+      await revokeAllSessions(existing.userId);
+    }
+    return { status: 401, error: "Refresh token has been revoked." };
+  }
+
+  const user = await User.findById(stored.userId).select("-password");
+  if (!user) {
+    return { status: 401, error: "User for this token no longer exists." };
+  }
+  if (user.isBanned) {
+    await revokeAllSessions(user._id);
+    return {
+      status: 403,
+      error: "Your account has been banned. Please contact support.",
+    };
+  }
+
+  await createRefreshToken(
+    user._id,
+    {
+      deviceId: stored.deviceId,
+      deviceName: stored.deviceName,
+      userAgent: device.userAgent || stored.userAgent,
+      ip: device.ip || stored.ip,
+    },
+    newRefreshToken
+  );
+
+  return { user, token: signAccessToken(user), refreshToken: newRefreshToken };
+};
+
+// Revokes a single refresh token (logout on one device). Returns false if not found.
+const revokeRefreshToken = async (refreshToken) => {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Device/request details stored with a session
+const deviceFromRequest = (req) => ({
+  deviceId: (req.body && req.body.deviceId) || req.headers["x-device-id"],
+  deviceName: req.body && req.body.deviceName,
+  userAgent: req.headers["user-agent"],
+  ip: req.ip,
+});
+
+module.exports = {
+  signAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  deviceFromRequest,
+};
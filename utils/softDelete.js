@@ -0,0 +1,62 @@
+// utils/softDelete.js
+// Mongoose plugin for soft deletion. Adds `deletedAt`/`deletedBy` to a schema and hides
+// deleted documents from every find, count, update and aggregate unless the query opts in:
+//   Model.find().withDeleted()   deleted and active documents
+//   Model.find().onlyDeleted()   deleted documents only
+// A filter that mentions `deletedAt` itself is left untouched.
+const mongoose = require("mongoose");
+
+const QUERY_HOOKS = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "countDocuments",
+  "updateOne",
+  "updateMany",
+];
+
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  });
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), "deletedAt")) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.query.withDeleted = function () {
+    return this.setOptions({ withDeleted: true });
+  };
+  schema.query.onlyDeleted = function () {
+    return this.setOptions({ withDeleted: true }).where({
+      deletedAt: { $ne: null },
+    });
+  };
+
+  schema.methods.softDelete = function (actor) {
+    this.deletedAt = new Date();
+    this.deletedBy = actor || null;
+    return this.save();
+  };
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+};
+
+module.exports = softDeletePlugin;
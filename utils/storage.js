@@ -0,0 +1,114 @@
+// utils/storage.js
+// File storage adapters. Routes upload through getStorage() instead of calling Cloudinary
+// directly, so a local-disk adapter can stand in for development and tests
+// (STORAGE_DRIVER=local). Every adapter implements:
+//   upload(buffer, { folder, publicId, mimeType }) -> { url, publicId }
+//     (a random publicId is generated when none is given)
+//   remove(publicId) -> true if a file was removed
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const cloudinary = require("cloudinary").v2;
+
+const createCloudinaryStorage = () => ({
+  upload: (buffer, { folder, publicId }) =>
+    new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        {
+          resource_type: "image",
+          folder,
+          public_id: publicId,
+          overwrite: false,
+        },
+        (error, result) => {
+          if (result) {
+            resolve({ url: result.secure_url, publicId: result.public_id });
+          } else {
+            reject(error);
+          }
+        }
+      );
+      stream.end(buffer);
+    }),
+  remove: async (publicId) => {
+    const result = await cloudinary.uploader.destroy(publicId);
+    return result.result === "ok";
+  },
+});
+
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+};
+
+// Files are written to `rootDir` and served under `baseUrl` (see server.js)
+const createLocalStorage = (rootDir, baseUrl) => {
+  // public_ids are "<folder>/<id>"; keep them inside rootDir
+  const resolvePath = (publicId) => {
+    const filePath = path.resolve(rootDir, publicId);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error("Invalid file path.");
+    }
+    return filePath;
+  };
+  const findFile = async (publicId) => {
+    const filePath = resolvePath(publicId);
+    const dir = path.dirname(filePath);
+    const files = await fs.readdir(dir).catch(() => []);
+    const match = files.find(
+      (file) => path.parse(file).name === path.basename(filePath)
+    );
+    return match ? path.join(dir, match) : null;
+  };
+
+  return {
+    upload: async (buffer, { folder, publicId, mimeType }) => {
+      const id = path.posix.join(folder || "", publicId || crypto.randomUUID());
+      const fileName = resolvePath(id) + (EXTENSIONS[mimeType] || "");
+      await fs.mkdir(path.dirname(fileName), { recursive: true });
+      await fs.writeFile(fileName, buffer, { flag: "wx" }); // Never overwrite
+      return {
+        url: `${baseUrl}/${id}${EXTENSIONS[mimeType] || ""}`,
+        publicId: id,
+      };
+    },
+    remove: async (publicId) => {
+      const filePath = await findFile(publicId);
+      if (!filePath) return false;
+      await fs.unlink(filePath);
+      return true;
+    },
+  };
+};
+
+const LOCAL_UPLOAD_DIR =
+  process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, "..", "uploads");
+const LOCAL_UPLOAD_URL = process.env.LOCAL_UPLOAD_URL || "/uploads";
+
+let storage = null;
+
+// The configured adapter (STORAGE_DRIVER=cloudinary|local, cloudinary by default)
+const getStorage = () => {
+  if (!storage) {
+    storage =
+      process.env.STORAGE_DRIVER === "local"
+        ? createLocalStorage(LOCAL_UPLOAD_DIR, LOCAL_UPLOAD_URL)
+        : createCloudinaryStorage();
+  }
+  return storage;
+};
+
+// Replaces the adapter, e.g. with createLocalStorage() in tests
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = {
+  createCloudinaryStorage,
+  createLocalStorage,
+  getStorage,
+  setStorage,
+  LOCAL_UPLOAD_DIR,
+  LOCAL_UPLOAD_URL,
+};
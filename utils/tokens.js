@@ -0,0 +1,57 @@
+// utils/tokens.js
+const crypto = require("crypto");
+const UserToken = require("../models/UserToken");
+
+const TOKEN_TTL_MS = {
+  passwordReset: 60 * 60 * 1000, // 1 hour
+  emailVerification: 24 * 60 * 60 * 1000, // 24 hours
+};
+
+const generateToken = () => crypto.randomBytes(32).toString("hex");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Creates a new token of the given type for a user and returns the raw token.
+// Any earlier unused token of the same type is invalidated.
+const issueUserToken = async (userId, type) => {
+  await UserToken.deleteMany({ userId, type, usedAt: null });
+  const token = generateToken();
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type]),
+  });
+  return token;
+};
+
+// Marks a valid, unexpired, unused token as used and returns it, or null if the
+// token is invalid. The update is atomic, so a token can only ever be used once.
+const consumeUserToken = (token, type) =>
+  UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+// Link to a page of the storefront (CLIENT_URL in .env), optionally carrying a token
+const buildClientUrl = (pagePath, token) => {
+  const base = (process.env.CLIENT_URL || "").replace(/\/$/, "");
+  return token
+    ? `${base}${pagePath}?token=${encodeURIComponent(token)}`
+    : `${base}${pagePath}`;
+};
+
+module.exports = {
+  generateToken,
+  hashToken,
+  issueUserToken,
+  consumeUserToken,
+  buildClientUrl,
+};